@@ -32,6 +32,8 @@ const config = require('./config/config');
 const logger = require('./utils/logger');
 const routes = require('./routes');
 const keyManager = require('./utils/keyManager');
+const modelAliases = require('./utils/modelAliases');
+const cursorModels = require('./utils/cursorModels');
 const cookieRefresher = require('./utils/cookieRefresher');
 const authMiddleware = require('./middleware/auth');
 const proxyLauncher = require('./utils/proxyLauncher');
@@ -51,6 +53,12 @@ const v1Router = require('./routes/v1');
 logger.info('初始化API Keys...');
 keyManager.initializeApiKeys();
 
+// 加载模型别名
+modelAliases.loadModelAliases();
+
+// 后台定时刷新模型列表
+cursorModels.startModelRefresh();
+
 // 输出最终的API Keys配置
 logger.debug('最终API Keys配置:', JSON.stringify(keyManager.getAllApiKeys().reduce((obj, key) => {
   obj[key] = keyManager.getAllCookiesForApiKey(key);
@@ -69,7 +77,7 @@ logger.info(`当前已加载 ${apiKeys.length} 个API Key，详情: ${keySummary
 // 添加CORS支持
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-api-key, anthropic-version, x-goog-api-key');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     
     if (req.method === 'OPTIONS') {
@@ -28,6 +28,16 @@ try {
     log('ERROR', '请确保API_KEYS是有效的JSON格式');
 }
 
+// 解析按模型设置的超时时间
+let modelTimeoutsConfig = {};
+try {
+    if (process.env.MODEL_TIMEOUTS) {
+        modelTimeoutsConfig = JSON.parse(process.env.MODEL_TIMEOUTS);
+    }
+} catch (error) {
+    log('ERROR', '解析MODEL_TIMEOUTS环境变量失败:' + error.message);
+}
+
 // 导出配置
 module.exports = {
     port: process.env.PORT || 3000,
@@ -62,6 +72,63 @@ module.exports = {
     },
 
     defaultRotationStrategy: process.env.ROTATION_STRATEGY || 'round-robin',
+
+    // 思考内容输出模式: inline(<think>标签), separate(reasoning_content字段), hidden(不输出)
+    reasoningMode: process.env.REASONING_MODE || 'inline',
+
+    // 错误返回模式: compat(错误作为assistant消息返回), strict(返回OpenAI格式的错误和真实HTTP状态码)
+    errorMode: process.env.ERROR_MODE || 'compat',
+
+    // Cookie失败切换配置：尚未向客户端输出内容时，上游可重试错误会自动换下一个Cookie重试
+    failover: {
+        maxAttempts: Math.max(1, parseInt(process.env.FAILOVER_MAX_ATTEMPTS || '3', 10)), // 每个请求最多尝试的Cookie数量，1为不重试
+        backoff: parseInt(process.env.FAILOVER_BACKOFF || '500', 10) // 首次重试前的等待时间(毫秒)，之后每次翻倍
+    },
+
+    // 上游请求超时配置(毫秒)，0表示不限制
+    timeouts: {
+        connect: parseInt(process.env.TIMEOUT_CONNECT || '10000', 10), // 发出请求到收到上游响应头
+        firstByte: parseInt(process.env.TIMEOUT_FIRST_BYTE || '60000', 10), // 收到响应头到收到第一段输出(含思考内容)
+        idle: parseInt(process.env.TIMEOUT_IDLE || '60000', 10), // 相邻两段输出之间的间隔
+        total: parseInt(process.env.TIMEOUT_TOTAL || '600000', 10), // 整个请求的总时长，包括切换Cookie重试
+        models: modelTimeoutsConfig // 按模型覆盖，键为模型名，以*结尾时按前缀匹配
+    },
+
+    // 流式输出等待上游数据时发送SSE注释心跳的间隔(毫秒)，0表示不发送
+    heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL || '15000', 10),
+
+    // Responses API配置
+    responses: {
+        storeLimit: parseInt(process.env.RESPONSES_STORE_LIMIT || '1000', 10), // 内存中保存的响应数量上限，超出时淘汰最早的响应，0表示不保存
+        storeMaxSize: parseInt(process.env.RESPONSES_STORE_MAX_SIZE || '200', 10) * 1024 * 1024 // 保存的响应总大小上限(含图片)，默认200MB，超出时淘汰最早的响应
+    },
+
+    // 模型列表缓存配置
+    models: {
+        cacheTtl: parseInt(process.env.MODELS_CACHE_TTL || '600', 10) * 1000 // 缓存有效期和后台刷新间隔，默认10分钟
+    },
+
+    // 结构化输出(response_format)配置
+    structuredOutput: {
+        maxRetries: Math.max(0, parseInt(process.env.STRUCTURED_OUTPUT_MAX_RETRIES || '2', 10)) // 输出未通过JSON校验时带上错误信息重新请求的次数，0为不重试
+    },
+
+    // 多个choice(n>1)配置，每个choice对应一个并行的上游请求
+    choices: {
+        max: Math.max(1, parseInt(process.env.CHOICES_MAX || '8', 10)), // n的上限
+        spreadCookies: process.env.CHOICES_SPREAD_COOKIES === 'true' // 是否把各choice分散到API Key下不同的Cookie
+    },
+
+    // Ollama兼容接口配置
+    ollama: {
+        apiKey: process.env.OLLAMA_API_KEY || '' // 请求未携带Authorization请求头时使用的API Key
+    },
+
+    // 图片输入配置
+    image: {
+        localDir: process.env.IMAGE_LOCAL_DIR || '', // 允许读取本地图片的目录，为空时禁用
+        maxSize: parseInt(process.env.IMAGE_MAX_SIZE || '20', 10) * 1024 * 1024 // 默认20MB
+    },
     
     // 添加代理配置
     proxy: {
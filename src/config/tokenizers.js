@@ -0,0 +1,18 @@
+// 各模型用于估算token用量的分词器
+// 按顺序匹配模型名，第一个匹配的规则生效；未匹配时使用默认分词器
+// 非OpenAI模型的分词器未公开，使用接近的编码估算
+
+const MODEL_TOKENIZERS = [
+    { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1|o3|o4|chatgpt-4o)/i, encoding: 'o200k_base' },
+    { pattern: /^(gpt-4|gpt-3\.5)/i, encoding: 'cl100k_base' },
+    { pattern: /claude/i, encoding: 'cl100k_base' },
+    { pattern: /gemini/i, encoding: 'o200k_base' },
+    { pattern: /deepseek|grok|kimi|qwen/i, encoding: 'cl100k_base' }
+];
+
+const DEFAULT_TOKENIZER = 'cl100k_base';
+
+module.exports = {
+    MODEL_TOKENIZERS,
+    DEFAULT_TOKENIZER
+};
@@ -16,6 +16,7 @@ function authMiddleware(req, res, next) {
     // 修改为：只对管理相关的API进行认证
     if (req.path.startsWith('/v1/api-keys') || 
         req.path.startsWith('/v1/invalid-cookies') || 
+        req.path.startsWith('/v1/model-aliases') || 
         req.path.startsWith('/v1/refresh-cookies') ||
         req.path.startsWith('/v1/logs')) {
         // 获取Authorization头
@@ -29,6 +29,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // 页面加载时获取 API Key 列表和无效Cookie列表
     checkAuth();
     loadApiKeys();
+    loadModelAliasList();
     renderInvalidCookies();
     populateRefreshApiKeySelect();
     populateCookieApiKeySelect();
@@ -51,6 +52,8 @@ function bindEventListeners() {
     document.getElementById('addKeyForm').addEventListener('submit', handleAddKeyForm);
     document.getElementById('editCookieForm').addEventListener('submit', handleEditCookieForm);
     document.getElementById('invalidCookieForm').addEventListener('submit', handleInvalidCookieForm);
+    document.getElementById('modelAliasForm').addEventListener('submit', handleModelAliasForm);
+    document.getElementById('keySettingsForm').addEventListener('submit', handleApiKeySettingsForm);
     
     // 按钮点击
     // 注意：testApiBtn可能在页面上出现两次，需要检查元素是否存在
@@ -118,6 +121,7 @@ async function loadApiKeys() {
                     <td data-title="Cookie 数量">${key.cookieCount}</td>
                     <td data-title="操作">
                         <button class="edit-btn" onclick="editApiKey('${key.key}')">修改</button>
+                        <button class="edit-btn" onclick="editApiKeySettings('${key.key}')">设置</button>
                         <button class="action-btn" onclick="deleteApiKey('${key.key}')">删除</button>
                     </td>
                 `;
@@ -219,6 +223,137 @@ async function deleteApiKey(apiKey) {
     }
 }
 
+// 模型别名管理相关函数
+// 当前加载的模型别名，用于填充编辑表单
+let currentModelAliases = {};
+
+// 加载模型别名列表
+async function loadModelAliasList() {
+    try {
+        const response = await fetch('/v1/model-aliases', {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP错误: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        currentModelAliases = data.aliases || {};
+
+        const aliasList = document.getElementById('modelAliasList');
+        aliasList.innerHTML = '';
+
+        const aliases = Object.entries(currentModelAliases);
+        if (aliases.length > 0) {
+            aliases.forEach(([alias, entry]) => {
+                const thinkingText = entry.thinking === true ? '开启' : (entry.thinking === false ? '关闭' : '默认');
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td data-title="别名">${alias}</td>
+                    <td data-title="上游模型">${entry.model}</td>
+                    <td data-title="思考模式">${thinkingText}</td>
+                    <td data-title="长上下文">${entry.largeContext ? '开启' : '关闭'}</td>
+                    <td data-title="操作">
+                        <button class="edit-btn" onclick="editModelAlias('${alias}')">修改</button>
+                        <button class="action-btn" onclick="deleteModelAlias('${alias}')">删除</button>
+                    </td>
+                `;
+                aliasList.appendChild(row);
+            });
+        } else {
+            aliasList.innerHTML = '<tr><td colspan="5" data-title="状态">暂无模型别名</td></tr>';
+        }
+    } catch (error) {
+        console.error('加载模型别名失败:', error);
+        showMessage('modelAliasMessage', `加载模型别名失败: ${error.message}`, 'error');
+    }
+}
+
+// 处理添加/更新模型别名表单提交
+async function handleModelAliasForm(e) {
+    e.preventDefault();
+
+    const alias = document.getElementById('aliasName').value.trim();
+    const model = document.getElementById('aliasModel').value.trim();
+    const thinking = document.getElementById('aliasThinking').value;
+    const largeContext = document.getElementById('aliasLargeContext').checked;
+
+    if (!alias || !model) {
+        showMessage('modelAliasMessage', '别名和上游模型名不能为空', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/v1/model-aliases/${encodeURIComponent(alias)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                model,
+                thinking: thinking === '' ? null : thinking === 'true',
+                largeContext,
+            }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            showMessage('modelAliasMessage', '模型别名保存成功', 'info');
+            document.getElementById('modelAliasForm').reset();
+            loadModelAliasList();
+        } else {
+            showMessage('modelAliasMessage', `模型别名保存失败: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('保存模型别名失败:', error);
+        showMessage('modelAliasMessage', `保存模型别名失败: ${error.message}`, 'error');
+    }
+}
+
+// 将模型别名填入表单以便修改
+function editModelAlias(alias) {
+    const entry = currentModelAliases[alias];
+    if (!entry) {
+        return;
+    }
+    document.getElementById('aliasName').value = alias;
+    document.getElementById('aliasModel').value = entry.model;
+    document.getElementById('aliasThinking').value = entry.thinking == null ? '' : String(entry.thinking);
+    document.getElementById('aliasLargeContext').checked = entry.largeContext === true;
+    document.getElementById('modelAliasForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+// 删除模型别名
+async function deleteModelAlias(alias) {
+    if (!confirm(`确定要删除模型别名 "${alias}" 吗？`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/v1/model-aliases/${encodeURIComponent(alias)}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            showMessage('modelAliasMessage', '模型别名删除成功', 'info');
+            loadModelAliasList();
+        } else {
+            showMessage('modelAliasMessage', `模型别名删除失败: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('删除模型别名失败:', error);
+        showMessage('modelAliasMessage', `删除模型别名失败: ${error.message}`, 'error');
+    }
+}
+
 // 获取API Key的Cookie值
 async function getCookiesForApiKey(apiKey) {
     try {
@@ -276,6 +411,89 @@ async function editApiKey(apiKey) {
     }
 }
 
+// 打开API Key设置(默认对话模式、思考内容输出模式、错误返回模式和默认文档)的编辑框
+async function editApiKeySettings(apiKey) {
+    document.getElementById('keySettingsModalMessage').innerHTML = '';
+    document.getElementById('settingsApiKey').value = apiKey;
+    document.getElementById('settingsChatMode').value = '';
+    document.getElementById('settingsReasoningMode').value = '';
+    document.getElementById('settingsErrorMode').value = '';
+    document.getElementById('docsUrls').value = '';
+
+    const modal = document.getElementById('keySettingsModal');
+    modal.style.display = 'block';
+    document.body.classList.add('modal-open');
+
+    try {
+        const response = await fetch(`/v1/api-keys/${encodeURIComponent(apiKey)}/settings`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP错误: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        // ask为默认模式，与未设置时相同
+        document.getElementById('settingsChatMode').value = data.settings.chatMode === 'ask' ? '' : (data.settings.chatMode || '');
+        document.getElementById('settingsReasoningMode').value = data.settings.reasoningMode || '';
+        document.getElementById('settingsErrorMode').value = data.settings.errorMode || '';
+        document.getElementById('docsUrls').value = (data.settings.cursorDocs || []).join('\n');
+    } catch (error) {
+        console.error('加载API Key设置失败:', error);
+        showMessage('keySettingsModalMessage', `加载API Key设置失败: ${error.message}`, 'error');
+    }
+}
+
+// 保存API Key的默认对话模式、思考内容输出模式、错误返回模式和默认文档
+async function handleApiKeySettingsForm(e) {
+    e.preventDefault();
+
+    const apiKey = document.getElementById('settingsApiKey').value;
+    const chatMode = document.getElementById('settingsChatMode').value;
+    const reasoningMode = document.getElementById('settingsReasoningMode').value;
+    const errorMode = document.getElementById('settingsErrorMode').value;
+    const docs = document.getElementById('docsUrls').value
+        .split('\n')
+        .map(url => url.trim())
+        .filter(url => url);
+
+    try {
+        const response = await fetch(`/v1/api-keys/${encodeURIComponent(apiKey)}/settings`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            // 为空时删除设置
+            body: JSON.stringify({
+                chatMode: chatMode || null,
+                reasoningMode: reasoningMode || null,
+                errorMode: errorMode || null,
+                cursorDocs: docs.length > 0 ? docs : null,
+            }),
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            showMessage('keySettingsModalMessage', 'API Key设置保存成功', 'info');
+            setTimeout(() => {
+                document.getElementById('keySettingsModal').style.display = 'none';
+                document.body.classList.remove('modal-open');
+            }, 1500);
+        } else {
+            showMessage('keySettingsModalMessage', `API Key设置保存失败: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('保存API Key设置失败:', error);
+        showMessage('keySettingsModalMessage', `保存API Key设置失败: ${error.message}`, 'error');
+    }
+}
+
 // 获取API Keys的辅助函数
 async function getApiKeys() {
     const response = await fetch('/v1/api-keys', {
@@ -1146,6 +1364,7 @@ function addAuthHeader(headers = {}) {
         // 只对管理页面的API请求添加token
         if (url.includes('/v1/api-keys') || 
             url.includes('/v1/invalid-cookies') || 
+            url.includes('/v1/model-aliases') || 
             url.includes('/v1/refresh-cookies') ||
             url.includes('/v1/generate-cookie-link') ||
             url.includes('/v1/check-cookie-status') ||
@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const v1Routes = require('./v1');
+const v1betaRoutes = require('./v1beta');
+const ollamaRoutes = require('./ollama');
 
 // OpenAI v1 API routes
 router.use('/v1', v1Routes);
 
+// Gemini v1beta API routes
+router.use('/v1beta', v1betaRoutes);
+
+// Ollama API routes
+router.use('/api', ollamaRoutes);
+
 module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { generateCursorBody } = require('../utils/utils.js');
+const { CursorError, parseCursorError } = require('../utils/cursorErrors.js');
+const { openCursorChat, abortOnDisconnect, handleCursorError } = require('../utils/cursorChat.js');
+const { getAvailableModels, getCachedModel } = require('../utils/cursorModels.js');
+const { resolveModel } = require('../utils/modelAliases.js');
+const { isToolCallingEnabled, ToolCallParser } = require('../utils/toolCalls.js');
+const { resolveOllamaModel, ollamaChatToMessages, ollamaGenerateToMessages, NdjsonStream, OllamaResponseBuilder } = require('../utils/ollamaApi.js');
+const { ApiError, InvalidRequestError, toApiError } = require('../utils/errors.js');
+const { estimatePromptTokens, buildUsage } = require('../utils/tokenizer.js');
+const { resolveStopSequences, OutputLimiter } = require('../utils/outputLimiter.js');
+const { resolveCursorDocs } = require('../utils/cursorDocs.js');
+const { resolveChatMode, resolveSupportedChatMode } = require('../utils/chatMode.js');
+const { resolveWebSearch, CitationCollector } = require('../utils/webSearch.js');
+const keyManager = require('../utils/keyManager.js');
+const { version } = require('../../package.json');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Ollama客户端通常不发送Authorization请求头，此时使用OLLAMA_API_KEY
+function getOllamaApiKey(req) {
+  return req.headers.authorization?.replace('Bearer ', '') || config.ollama.apiKey;
+}
+
+// 部分客户端通过版本号检测服务是否可用
+router.get('/version', (req, res) => {
+  res.json({ version });
+});
+
+// 模型列表，与/v1/models使用相同的上游数据
+router.get('/tags', async (req, res) => {
+  try {
+    const { models, fetchedAt } = await getAvailableModels(getOllamaApiKey(req), req.headers['x-cursor-checksum']);
+    const modifiedAt = new Date(fetchedAt).toISOString();
+    res.json({
+      models: models.map(model => ({
+        name: model.name,
+        model: model.name,
+        modified_at: modifiedAt,
+        size: 0,
+        digest: '',
+        details: {
+          parent_model: '',
+          format: '',
+          family: 'cursor',
+          families: null,
+          parameter_size: '',
+          quantization_level: '',
+        },
+      })),
+    });
+  } catch (error) {
+    logger.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 对话接口
+router.post('/chat', (req, res) => handleOllamaRequest(req, res, 'chat'));
+
+// 生成接口
+router.post('/generate', (req, res) => handleOllamaRequest(req, res, 'generate'));
+
+/**
+ * /api/chat和/api/generate的处理流程，流式请求以NDJSON返回
+ * @param {'chat'|'generate'} endpoint
+ */
+async function handleOllamaRequest(req, res, endpoint) {
+  const apiKey = getOllamaApiKey(req);
+  // 错误返回模式：API Key设置 > 全局配置
+  const errorMode = keyManager.getApiKeySettings(apiKey).errorMode ?? config.errorMode;
+  // 客户端断开连接时中止上游请求
+  const abortController = abortOnDisconnect(req, res);
+  const body = req.body || {};
+  // Ollama默认流式输出
+  const stream = body.stream !== false;
+  const { num_predict: numPredict, stop } = body.options || {};
+
+  let ndjsonStream = null;
+  let builder = null; // 参数校验通过后创建，此前的错误均按HTTP错误返回
+  let upstream = null;
+  let model = body.model;
+  try {
+    model = resolveOllamaModel(body.model);
+    if (numPredict != null && !Number.isInteger(numPredict)) {
+      throw new InvalidRequestError('options.num_predict: expected an integer', 'options.num_predict', 'invalid_type');
+    }
+    const stopSequences = resolveStopSequences(stop, 'options.stop');
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key is required. Set OLLAMA_API_KEY or send an Authorization header.' });
+    }
+
+    // 没有prompt的generate请求用于加载模型，直接返回
+    if (endpoint === 'generate' && !body.prompt && !body.suffix) {
+      return res.json({ model, created_at: new Date().toISOString(), response: '', done: true, done_reason: 'load' });
+    }
+
+    const messages = endpoint === 'chat'
+      ? ollamaChatToMessages(body.messages)
+      : ollamaGenerateToMessages(body);
+    const tools = endpoint === 'chat' ? body.tools : undefined;
+    const toolsEnabled = isToolCallingEnabled(tools);
+    const keySettings = keyManager.getApiKeySettings(apiKey);
+    // Ollama请求体没有扩展参数，附带API Key设置的默认文档
+    const docs = resolveCursorDocs(undefined, keySettings.cursorDocs);
+    // 只能通过:online后缀开启联网搜索
+    const webSearch = resolveWebSearch(model, {});
+    // 对话模式：模型名后缀(即Ollama的tag，如 claude-4-sonnet:agent) > API Key设置，去掉后缀后按模型别名解析上游模型名
+    const chatMode = resolveChatMode(webSearch.model, undefined, keySettings.chatMode);
+    const upstreamModel = resolveModel(chatMode.model);
+    chatMode.mode = resolveSupportedChatMode(upstreamModel.name, chatMode, getCachedModel(upstreamModel.name));
+    const cursorBody = generateCursorBody(messages, upstreamModel.name, {
+      tools,
+      largeContext: upstreamModel.largeContext,
+      webSearch: webSearch.enabled,
+      docs,
+      chatMode: chatMode.mode,
+    });
+    // think为false时不返回思考内容
+    const includeThinking = body.think !== false;
+    // num_predict为-1或0表示不限制
+    const maxTokens = numPredict > 0 ? numPredict : null;
+
+    ndjsonStream = stream ? new NdjsonStream(res) : null;
+    builder = new OllamaResponseBuilder(ndjsonStream, { model: body.model, endpoint });
+
+    upstream = await openCursorChat(apiKey, cursorBody, {
+      model: upstreamModel.name,
+      checksum: req.headers['x-cursor-checksum'],
+      signal: abortController.signal,
+    });
+
+    let reasoning = '';
+    const citations = new CitationCollector(); // 联网搜索返回的网页
+    const toolParser = toolsEnabled ? new ToolCallParser() : null; // 启用工具时解析输出中的tool_call
+    const limiter = new OutputLimiter({ stop: stopSequences, maxTokens, model }); // 停止序列和输出token上限
+    const writeParsedEvents = (events) => {
+      for (const event of events) {
+        if (limiter.finished) {
+          return;
+        }
+        if (event.type === 'tool_call') {
+          builder.toolCall(event.toolCall);
+        } else {
+          builder.text(limiter.feed(event.text));
+        }
+      }
+    };
+
+    for await (const event of upstream.events) {
+      // 流结束帧中包含错误时抛出，由下方统一处理
+      if (event.type === 'end') {
+        if (event.error) {
+          throw parseCursorError(event.error, event.raw);
+        }
+        break;
+      }
+      citations.add(event.webPages);
+      if (event.thinking) {
+        reasoning += event.thinking;
+        if (includeThinking) {
+          builder.thought(event.thinking);
+        }
+      }
+      if (event.content) {
+        writeParsedEvents(toolParser
+          ? toolParser.feed(event.content)
+          : [{ type: 'content', text: event.content }]);
+      }
+      // 达到输出限制后停止读取，中止上游请求
+      if (limiter.finished) {
+        break;
+      }
+    }
+    // 输出工具解析和停止序列检测中暂缓的内容
+    writeParsedEvents(toolParser ? toolParser.flush() : []);
+    builder.text(limiter.flush());
+    // 没有对应的引用字段，联网搜索引用的网页追加在正文末尾，不计入usage
+    if (citations.size > 0) {
+      builder.text(citations.toText());
+    }
+
+    const result = builder.complete(limiter.finishReason || 'stop', buildUsage({
+      promptTokens: estimatePromptTokens(messages, model, { tools }),
+      content: limiter.text,
+      reasoning,
+      model,
+    }));
+    if (ndjsonStream) {
+      ndjsonStream.close();
+    } else {
+      res.json(result);
+    }
+  } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (abortController.signal.aborted) {
+      return;
+    }
+    // 参数错误始终按Ollama格式返回
+    if (error instanceof ApiError && !builder && !res.headersSent) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Ollama error:', error);
+
+    // 上游错误需按分类处理Cookie
+    const cursorErrorResult = error instanceof CursorError
+      ? handleCursorError(error, apiKey, upstream && upstream.cookie)
+      : null;
+    if (errorMode === 'strict') {
+      const apiError = toApiError(error);
+      logger.error(`返回错误[${apiError.status} ${apiError.type}]: ${apiError.message}`);
+      if (!res.headersSent) {
+        return res.status(apiError.status).json({ error: apiError.message });
+      }
+      return ndjsonStream.error(apiError.message);
+    }
+
+    // compat模式下将错误作为正文返回
+    const errorMessage = cursorErrorResult
+      ? cursorErrorResult.message
+      : `⚠️ 请求失败 ⚠️\n\n错误：${error.name === 'TimeoutError' ? '请求超时' : '服务器内部错误'}，请稍后重试。\n\n${error.message || ''}`;
+    if (!builder) {
+      builder = new OllamaResponseBuilder(null, { model: body.model, endpoint });
+    }
+    builder.text(errorMessage);
+    const result = builder.complete('stop', buildUsage({ model }));
+    if (ndjsonStream) {
+      ndjsonStream.close();
+    } else if (!res.headersSent) {
+      res.json(result);
+    }
+  }
+}
+
+module.exports = router;
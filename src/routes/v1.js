@@ -1,10 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { fetch, ProxyAgent, Agent } = require('undici');
+const { fetch } = require('undici');
 
-const $root = require('../proto/message.js');
-const { v4: uuidv4, v5: uuidv5 } = require('uuid');
-const { generateCursorBody, chunkToUtf8String, generateHashed64Hex, generateCursorChecksum } = require('../utils/utils.js');
+const { v4: uuidv4 } = require('uuid');
+const { generateCursorBody } = require('../utils/utils.js');
+const { CursorError, parseCursorError } = require('../utils/cursorErrors.js');
+const { openCursorChat, abortOnDisconnect, handleCursorError } = require('../utils/cursorChat.js');
+const { getAvailableModels, getCachedModel } = require('../utils/cursorModels.js');
+const modelAliases = require('../utils/modelAliases.js');
+const { isToolCallingEnabled, ToolCallParser } = require('../utils/toolCalls.js');
+const { normalizeMessages } = require('../utils/messageNormalizer.js');
+const { resolvePrompt, buildCompletionMessages } = require('../utils/textCompletion.js');
+const { inputToMessages, convertTools, convertToolChoice, buildConversation, saveResponse, getResponse, ResponseBuilder } = require('../utils/responsesApi.js');
+const { toAnthropicError, anthropicToMessages, convertAnthropicTools, AnthropicMessageBuilder } = require('../utils/anthropicApi.js');
+const { ApiError, InvalidRequestError, toApiError } = require('../utils/errors.js');
+const { estimatePromptTokens, buildUsage, mergeUsage } = require('../utils/tokenizer.js');
+const { resolveStopSequences, resolveMaxTokens, OutputLimiter } = require('../utils/outputLimiter.js');
+const { resolveResponseFormat, runStructuredChat } = require('../utils/structuredOutput.js');
+const { resolveChoiceCount, closeUpstreams, openCursorChoices } = require('../utils/multiChoice.js');
+const { resolveWebSearch, CitationCollector } = require('../utils/webSearch.js');
+const { isValidDocList, resolveCursorDocs } = require('../utils/cursorDocs.js');
+const { isChatMode, resolveChatMode, resolveSupportedChatMode } = require('../utils/chatMode.js');
+const { ChatCompletionStream, TextCompletionStream, ResponseStream, AnthropicMessageStream, SYSTEM_FINGERPRINT } = require('../utils/sseWriter.js');
 const keyManager = require('../utils/keyManager.js');
 const { spawn } = require('child_process');
 const path = require('path');
@@ -26,6 +43,20 @@ let refreshStatus = {
 // 储存当前正在处理的Cookie获取请求
 const pendingCookieRequests = new Map();
 
+// 思考内容输出模式
+const REASONING_MODES = ['inline', 'separate', 'hidden'];
+
+// 错误返回模式
+const ERROR_MODES = ['compat', 'strict'];
+
+// API Key设置项及其取值校验
+const API_KEY_SETTING_VALIDATORS = {
+  reasoningMode: value => REASONING_MODES.includes(value),
+  errorMode: value => ERROR_MODES.includes(value),
+  cursorDocs: isValidDocList,
+  chatMode: isChatMode,
+};
+
 // 检查是否已有管理员账号
 router.get('/admin/check', (req, res) => {
   try {
@@ -214,6 +245,131 @@ router.get("/api-keys/:apiKey/cookies", async (req, res) => {
   }
 });
 
+// 获取特定API Key的设置
+router.get("/api-keys/:apiKey/settings", async (req, res) => {
+  try {
+    const { apiKey } = req.params;
+
+    return res.json({
+      success: true,
+      settings: keyManager.getApiKeySettings(apiKey)
+    });
+  } catch (error) {
+    logger.error(`获取API Key ${req.params.apiKey}的设置失败:`, error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// 更新特定API Key的设置
+router.put("/api-keys/:apiKey/settings", async (req, res) => {
+  try {
+    const { apiKey } = req.params;
+    const settings = req.body || {};
+
+    for (const [name, value] of Object.entries(settings)) {
+      const validate = API_KEY_SETTING_VALIDATORS[name];
+      if (!validate) {
+        return res.status(400).json({
+          success: false,
+          message: `未知的设置项: ${name}`
+        });
+      }
+      // null或空字符串表示恢复默认值
+      if (value !== null && value !== '' && !validate(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `设置项 ${name} 的值无效: ${JSON.stringify(value)}`
+        });
+      }
+    }
+
+    const updated = keyManager.updateApiKeySettings(apiKey, settings);
+    logger.info(`API Key ${apiKey} 的设置已更新:`, updated);
+
+    return res.json({
+      success: true,
+      settings: updated
+    });
+  } catch (error) {
+    logger.error(`更新API Key ${req.params.apiKey}的设置失败:`, error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// 获取所有模型别名
+router.get("/model-aliases", async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      aliases: modelAliases.getAllModelAliases()
+    });
+  } catch (error) {
+    logger.error('获取模型别名失败:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// 添加或更新模型别名
+router.put("/model-aliases/:alias", async (req, res) => {
+  try {
+    const { alias } = req.params;
+    let saved;
+    try {
+      saved = modelAliases.setModelAlias(alias, req.body || {});
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+    logger.info(`模型别名 ${alias} 已更新:`, saved);
+
+    return res.json({
+      success: true,
+      alias: saved
+    });
+  } catch (error) {
+    logger.error(`更新模型别名 ${req.params.alias} 失败:`, error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// 删除模型别名
+router.delete("/model-aliases/:alias", async (req, res) => {
+  try {
+    const { alias } = req.params;
+    if (!modelAliases.removeModelAlias(alias)) {
+      return res.status(404).json({
+        success: false,
+        message: `模型别名不存在: ${alias}`
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Model alias removed successfully',
+    });
+  } catch (error) {
+    logger.error(`删除模型别名 ${req.params.alias} 失败:`, error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // 获取所有无效的cookie
 router.get("/invalid-cookies", async (req, res) => {
   try {
@@ -308,70 +464,45 @@ router.post("/invalid-cookies", async (req, res) => {
   }
 });
 
+// 模型列表，包含上游模型和模型别名
 router.get("/models", async (req, res) => {
-  try{
-    let bearerToken = req.headers.authorization?.replace('Bearer ', '');
-    
-    // 使用keyManager获取实际的cookie
-    let authToken = keyManager.getCookieForApiKey(bearerToken);
-    
-    if (authToken && authToken.includes('%3A%3A')) {
-      authToken = authToken.split('%3A%3A')[1];
-    }
-    else if (authToken && authToken.includes('::')) {
-      authToken = authToken.split('::')[1];
-    }
-
-    const checksum = req.headers['x-cursor-checksum'] 
-      ?? process.env['x-cursor-checksum'] 
-      ?? generateCursorChecksum(authToken.trim());
-    //const cursorClientVersion = "0.45.11"
-    const cursorClientVersion = "0.50.4";
-
-    const availableModelsResponse = await fetch("https://api2.cursor.sh/aiserver.v1.AiService/AvailableModels", {
-      method: 'POST',
-      headers: {
-        'accept-encoding': 'gzip',
-        'authorization': `Bearer ${authToken}`,
-        'connect-protocol-version': '1',
-        'content-type': 'application/proto',
-        'user-agent': 'connect-es/1.6.1',
-        'x-cursor-checksum': checksum,
-        'x-cursor-client-version': cursorClientVersion,
-        'x-cursor-config-version': uuidv4(),
-        'x-cursor-timezone': 'Asia/Tokyo',
-        'x-ghost-mode': 'true',
-        'Host': 'api2.cursor.sh',
-      },
+  try {
+    const bearerToken = req.headers.authorization?.replace('Bearer ', '');
+    const { models, fetchedAt } = await getAvailableModels(bearerToken, req.headers['x-cursor-checksum']);
+
+    return res.json({
+      object: "list",
+      data: listModelObjects(models, fetchedAt)
     })
-    const data = await availableModelsResponse.arrayBuffer();
-    const buffer = Buffer.from(data);
-    try{
-      const models = $root.AvailableModelsResponse.decode(buffer).models;
+  }
+  catch (error) {
+    logger.error('获取模型列表失败:', error);
+    const apiError = toApiError(error);
+    return res.status(apiError.status).json(apiError.toJSON());
+  }
+})
 
-      return res.json({
-        object: "list",
-        data: models.map(model => ({
-          id: model.name,
-          created: Date.now(),
-          object: 'model',
-          owned_by: 'cursor'
-        }))
-      })
-    } catch (error) {
-      const text = buffer.toString('utf-8');
-      throw new Error(text);      
+// 获取单个模型或模型别名
+router.get("/models/:id", async (req, res) => {
+  try {
+    const bearerToken = req.headers.authorization?.replace('Bearer ', '');
+    const { models, fetchedAt } = await getAvailableModels(bearerToken, req.headers['x-cursor-checksum']);
+    const model = listModelObjects(models, fetchedAt).find(item => item.id === req.params.id);
+    if (!model) {
+      const notFound = new ApiError(`The model '${req.params.id}' does not exist`, {
+        status: 404, type: 'invalid_request_error', param: 'model', code: 'model_not_found',
+      });
+      return res.status(notFound.status).json(notFound.toJSON());
     }
+    return res.json(model);
   }
   catch (error) {
-    logger.error(error);
-    return res.status(500).json({
-      error: 'Internal server error',
-    });
+    logger.error('获取模型信息失败:', error);
+    const apiError = toApiError(error);
+    return res.status(apiError.status).json(apiError.toJSON());
   }
 })
 
-
 router.post('/chat/completions', async (req, res) => {
   // 检查请求体是否存在
   if (!req.body) {
@@ -387,6 +518,9 @@ router.post('/chat/completions', async (req, res) => {
     });
   }
 
+  // 错误返回模式：API Key设置 > 全局配置
+  const errorMode = getErrorMode(req.headers.authorization?.replace('Bearer ', ''));
+
   // o1开头的模型，不支持流式输出
   if (typeof req.body.model === 'string' && req.body.model.startsWith('o1-') && req.body.stream) {
     return res.status(400).json({
@@ -394,163 +528,138 @@ router.post('/chat/completions', async (req, res) => {
     });
   }
 
+  // 客户端断开连接时中止上游请求
+  const abortController = abortOnDisconnect(req, res);
+
+  let chatStream = null; // 流式请求的输出器，心跳开始后响应头已发送，出错时也需通过它结束响应
   try {
-    const { model, messages, stream = false } = req.body;
+    const { model, messages, stream = false, tools, tool_choice, stream_options } = req.body;
     let bearerToken = req.headers.authorization?.replace('Bearer ', '');
-    
-    // 使用keyManager获取实际的cookie
-    let authToken = keyManager.getCookieForApiKey(bearerToken);
-    // 保存原始cookie，用于后续可能的错误处理
-    const originalAuthToken = authToken;
-    //console.log('原始cookie:', originalAuthToken);
 
-    if (authToken && authToken.includes('%3A%3A')) {
-      authToken = authToken.split('%3A%3A')[1];
-    }
-    else if (authToken && authToken.includes('::')) {
-      authToken = authToken.split('::')[1];
+    // 规范化消息和输出限制参数，格式有误时返回OpenAI风格的400错误
+    let normalizedMessages;
+    let stop;
+    let maxTokens;
+    let responseFormat;
+    let n;
+    let webSearch;
+    let docs;
+    let chatMode;
+    let upstreamModel;
+    try {
+      normalizedMessages = normalizeMessages(messages);
+      const keySettings = keyManager.getApiKeySettings(bearerToken);
+      webSearch = resolveWebSearch(model, req.body);
+      // 附带的文档：请求参数 > API Key设置
+      docs = resolveCursorDocs(req.body.cursor_docs, keySettings.cursorDocs);
+      // 依次去掉:online和对话模式后缀后按模型别名解析上游模型名
+      chatMode = resolveChatMode(webSearch.model, req.body.chat_mode, keySettings.chatMode);
+      upstreamModel = modelAliases.resolveModel(chatMode.model);
+      chatMode.mode = resolveSupportedChatMode(upstreamModel.name, chatMode, getCachedModel(upstreamModel.name));
+      responseFormat = resolveResponseFormat(req.body.response_format);
+      n = resolveChoiceCount(req.body.n);
+      stop = resolveStopSequences(req.body.stop);
+      // max_completion_tokens优先，max_tokens为旧参数
+      maxTokens = req.body.max_completion_tokens != null
+        ? resolveMaxTokens(req.body.max_completion_tokens, 'max_completion_tokens')
+        : resolveMaxTokens(req.body.max_tokens, 'max_tokens');
+    } catch (validationError) {
+      if (validationError instanceof InvalidRequestError) {
+        return res.status(validationError.status).json(validationError.toJSON());
+      }
+      throw validationError;
     }
 
-    if (!messages || !Array.isArray(messages) || messages.length === 0 || !authToken) {
+    if (!bearerToken) {
       return res.status(400).json({
         error: 'Invalid request. Messages should be a non-empty array and authorization is required',
       });
     }
 
-    const checksum = req.headers['x-cursor-checksum'] 
-      ?? process.env['x-cursor-checksum'] 
-      ?? generateCursorChecksum(authToken.trim());
+    // 思考内容输出模式：请求参数 > API Key设置 > 全局配置
+    const reasoningMode = req.body.reasoning_mode
+      ?? keyManager.getApiKeySettings(bearerToken).reasoningMode
+      ?? config.reasoningMode;
+    if (!REASONING_MODES.includes(reasoningMode)) {
+      const modeError = new InvalidRequestError(
+        `Invalid value: '${reasoningMode}'. Supported values are: ${REASONING_MODES.map(m => `'${m}'`).join(', ')}.`,
+        'reasoning_mode',
+        'invalid_value'
+      );
+      return res.status(modeError.status).json(modeError.toJSON());
+    }
 
-    const sessionid = uuidv5(authToken,  uuidv5.DNS);
-    const clientKey = generateHashed64Hex(authToken);
-    const cursorClientVersion = "0.50.4";
+    const toolsEnabled = isToolCallingEnabled(tools, tool_choice);
+    // 根据规范化后的提示词和输出内容计算usage
+    const getUsage = (content, reasoning) => buildUsage({
+      promptTokens: estimatePromptTokens(normalizedMessages, model, { tools, toolChoice: tool_choice }),
+      content,
+      reasoning,
+      model,
+    });
+    const cursorBody = generateCursorBody(normalizedMessages, upstreamModel.name, {
+      tools,
+      toolChoice: tool_choice,
+      largeContext: upstreamModel.largeContext,
+      webSearch: webSearch.enabled,
+      docs,
+      chatMode: chatMode.mode,
+    });
     
-    // 在请求聊天接口前，依次调用6个接口
-    if (process.env.USE_OTHERS === 'true') {
-      try{
-        others(authToken, clientKey, checksum, cursorClientVersion, sessionid).then( () => {
-          logger.info("其它接口异步调用成功");
-        });
-      } catch (error) {
-        logger.error(error.message);
-      }
+    // 流式请求在等待上游期间定时发送心跳
+    chatStream = stream
+      ? new ChatCompletionStream(res, {
+        model: req.body.model,
+        reasoningMode,
+        includeUsage: Boolean(stream_options && stream_options.include_usage),
+      }).startHeartbeat(config.heartbeatInterval)
+      : null;
+
+    // 结构化输出需要先校验完整内容，单独处理
+    if (responseFormat) {
+      return await sendStructuredCompletion(res, chatStream, {
+        apiKey: bearerToken,
+        messages: normalizedMessages,
+        model,
+        upstreamModel,
+        webSearch: webSearch.enabled,
+        docs,
+        chatMode: chatMode.mode,
+        format: responseFormat,
+        n,
+        tools,
+        toolChoice: tool_choice,
+        stop,
+        maxTokens,
+        checksum: req.headers['x-cursor-checksum'],
+        signal: abortController.signal,
+        reasoningMode,
+        errorMode,
+      });
     }
-    
-    const cursorBody = generateCursorBody(messages, model);
-    
-    // 添加代理支持
-    const dispatcher = config.proxy && config.proxy.enabled
-      ? new ProxyAgent(config.proxy.url, { allowH2: true })
-      : new Agent({ allowH2: true });
 
-    // 根据.env配置决定是否使用TLS代理
-    const useTlsProxy = process.env.USE_TLS_PROXY === 'true';
-    
-    let response;
-    
+    // 请求上游，输出内容前失败时自动切换Cookie重试；n>1时每个choice并行请求一次
+    let upstreams;
     try {
-      if (useTlsProxy) {
-        // 使用JA3指纹伪造代理服务器
-        logger.info(`使用TLS代理服务器`);
-        response = await fetch('http://localhost:8080/proxy', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            url: 'https://api2.cursor.sh/aiserver.v1.ChatService/StreamUnifiedChatWithTools',
-            method: 'POST',
-            headers: {
-              'authorization': `Bearer ${authToken}`,
-              'connect-accept-encoding': 'gzip',
-              'connect-content-encoding': 'gzip',
-              'connect-protocol-version': '1',
-              'content-type': 'application/connect+proto',
-              'user-agent': 'connect-es/1.6.1',
-              'x-amzn-trace-id': `Root=${uuidv4()}`,
-              'x-client-key': clientKey,
-              'x-cursor-checksum': checksum,
-              'x-cursor-client-version': cursorClientVersion,
-              'x-cursor-config-version': uuidv4(),
-              'x-cursor-timezone': 'Asia/Tokyo',
-              'x-ghost-mode': 'true',
-              'x-request-id': uuidv4(),
-              'x-session-id': sessionid,
-              'Host': 'api2.cursor.sh',
-            },
-            body: cursorBody,
-            stream: true // 启用流式响应
-          }),
-          timeout: {
-            connect: 5000,
-            read: 30000
-          }
-        });
-      } else {
-        // 直接调用API，不使用TLS代理
-        logger.info('不使用TLS代理服务器，直接请求API');
-        response = await fetch('https://api2.cursor.sh/aiserver.v1.ChatService/StreamUnifiedChatWithTools', {
-          method: 'POST',
-          headers: {
-            'authorization': `Bearer ${authToken}`,
-            'connect-accept-encoding': 'gzip',
-            'connect-content-encoding': 'gzip',
-            'connect-protocol-version': '1',
-            'content-type': 'application/connect+proto',
-            'user-agent': 'connect-es/1.6.1',
-            'x-amzn-trace-id': `Root=${uuidv4()}`,
-            'x-client-key': clientKey,
-            'x-cursor-checksum': checksum,
-            'x-cursor-client-version': cursorClientVersion,
-            'x-cursor-config-version': uuidv4(),
-            'x-cursor-timezone': 'Asia/Shanghai',
-            'x-ghost-mode': 'true',
-            'x-request-id': uuidv4(),
-            'x-session-id': sessionid,
-            'Host': 'api2.cursor.sh',
-          },
-          body: cursorBody,
-          dispatcher: dispatcher,
-          timeout: {
-            connect: 5000,
-            read: 30000
-          }
-        });
+      upstreams = await openCursorChoices(bearerToken, cursorBody, n, {
+        model: upstreamModel.name,
+        checksum: req.headers['x-cursor-checksum'],
+        signal: abortController.signal,
+      });
+    } catch (upstreamError) {
+      if (!(upstreamError instanceof CursorError)) {
+        throw upstreamError;
+      }
+      if (errorMode === 'strict') {
+        return sendStrictError(res, upstreamError, chatStream);
       }
-    } catch (fetchError) {
-      logger.error(`Fetch错误: ${fetchError.message}`);
-      
-      // 处理连接超时错误
-      const isConnectTimeout = fetchError.cause && 
-                             (fetchError.cause.code === 'UND_ERR_CONNECT_TIMEOUT' || 
-                              fetchError.message.includes('Connect Timeout Error'));
-      
-      // 构建错误响应
-      const errorMessage = isConnectTimeout 
-        ? `⚠️ 连接超时 ⚠️\n\n无法连接到API服务器(api2.cursor.sh)，请检查您的网络连接或尝试使用代理。`
-        : `⚠️ 请求失败 ⚠️\n\n错误: ${fetchError.message}`;
 
+      // 上游错误作为assistant消息返回
+      const errorMessage = handleCursorError(upstreamError).message;
       if (stream) {
         // 流式响应格式的错误
-        const responseId = `chatcmpl-${uuidv4()}`;
-        res.write(
-          `data: ${JSON.stringify({
-            id: responseId,
-            object: 'chat.completion.chunk',
-            created: Math.floor(Date.now() / 1000),
-            model: req.body.model || 'unknown',
-            choices: [
-              {
-                index: 0,
-                delta: {
-                  content: errorMessage,
-                },
-              },
-            ],
-          })}\n\n`
-        );
-        res.write('data: [DONE]\n\n');
-        res.end();
+        chatStream.content(errorMessage);
+        chatStream.end('stop');
       } else {
         // 非流式响应格式的错误
         res.json({
@@ -578,378 +687,109 @@ router.post('/chat/completions', async (req, res) => {
       return; // 重要：提前返回
     }
 
+    const choiceOptions = { toolsEnabled, stop, maxTokens, model };
+
     // 处理响应
     if (stream) {
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-
-      const responseId = `chatcmpl-${uuidv4()}`;
-      
-      let isThinking_status = 0; //0为没有思考，1为处于思考状态
-      try {
-        let responseEnded = false; // 添加标志，标记响应是否已结束
-        let hasWrittenThinkingStart = false; // 标记是否已发送thinking开始标签
-        let hasWrittenThinkingEnd = false; // 标记是否已发送thinking结束标签
-        let hasWrittenContent = false; // 标记是否已发送content
-        let accumulatedThinking = ''; // 累积thinking内容
-        let accumulatedContent = ''; // 累积content内容
-        
-        for await (const chunk of response.body) {
-          // 如果响应已结束，不再处理后续数据
-          if (responseEnded) {
-            continue;
-          }
-          
-          let result = {};
-          try {
-            result = chunkToUtf8String(chunk);
-          } catch (error) {
-            logger.error('解析响应块失败:', error);
-            // 提供默认的空结果，避免后续处理出错
-            result = {
-              isThink: false, 
-              thinkingContent: '', 
-              content: '',
-              error: `解析错误: ${error.message}`
-            };
-          }
-          
-          // 检查是否返回了错误对象
-          if (result && typeof result === 'object' && result.error) {
-            // 检查是否包含特定的无效cookie错误信息
-            const errorStr = typeof result.error === 'string' ? result.error : JSON.stringify(result.error);
-            
-            // 处理错误并获取结果
-            const errorResult = handleCursorError(errorStr, bearerToken, originalAuthToken);
-            
-            // 如果是需要移除的cookie，从API Key中移除
-            if (errorResult.shouldRemoveCookie) {
-              const removed = keyManager.removeCookieFromApiKey(bearerToken, originalAuthToken);
-              logger.info(`Cookie移除${removed ? '成功' : '失败'}`);
-              
-              // 如果成功移除，在错误消息中添加明确提示
-              if (removed) {
-                errorResult.message = `⚠️ 目前Cookie已从API Key中移除 ⚠️\n\n${errorResult.message}`;
-              }
-            }
-            
-            // 返回错误信息给客户端，作为assistant消息
-            res.write(
-              `data: ${JSON.stringify({
-                id: responseId,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model,
-                choices: [
-                  {
-                    index: 0,
-                    delta: {
-                      content: errorResult.message,
-                    },
-                  },
-                ],
-              })}\n\n`
-            );
-            
-            res.write('data: [DONE]\n\n');
-            responseEnded = true; // 标记响应已结束
-            break; // 跳出循环，不再处理后续数据
-          }
-
-          // 处理thinking内容
-          if (result.isThink && result.thinkingContent && result.thinkingContent.length > 0) {
-            // 累积thinking内容
-            accumulatedThinking += result.thinkingContent;
-            
-            // 如果没有发送thinking开始标记，则发送
-            if (!hasWrittenThinkingStart) {
-              res.write(
-                `data: ${JSON.stringify({
-                  id: responseId,
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: req.body.model,
-                  choices: [
-                    {
-                      index: 0,
-                      delta: {
-                        content: "<think>\n",
-                      },
-                    },
-                  ],
-                })}\n\n`
-              );
-              hasWrittenThinkingStart = true;
-            }
-            
-            // 发送accumulated thinking内容片段
-            res.write(
-              `data: ${JSON.stringify({
-                id: responseId,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model,
-                choices: [
-                  {
-                    index: 0,
-                    delta: {
-                      content: result.thinkingContent,
-                    },
-                  },
-                ],
-              })}\n\n`
-            );
-          }
-
-          // 处理常规内容
-          if (result.content && result.content.length > 0) {
-            // 累积content内容
-            accumulatedContent += result.content;
-            
-            // 如果已经有thinking内容，且尚未发送thinking结束标记，则发送
-            if (hasWrittenThinkingStart && !hasWrittenThinkingEnd) {
-              res.write(
-                `data: ${JSON.stringify({
-                  id: responseId,
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: req.body.model,
-                  choices: [
-                    {
-                      index: 0,
-                      delta: {
-                        content: "\n</think>\n",
-                      },
-                    },
-                  ],
-                })}\n\n`
-              );
-              hasWrittenThinkingEnd = true;
-            }
-
-            // 发送content内容
-            res.write(
-              `data: ${JSON.stringify({
-                id: responseId,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model,
-                choices: [
-                  {
-                    index: 0,
-                    delta: {
-                      content: result.content,
-                    },
-                  },
-                ],
-              })}\n\n`
-            );
-            hasWrittenContent = true;
-          }
-        }
-        
-        // 处理结束逻辑：确保thinking标签被正确关闭
-        if (!responseEnded) {
-          // 如果有thinking内容但没有发送结束标记，则发送
-          if (hasWrittenThinkingStart && !hasWrittenThinkingEnd) {
-            res.write(
-              `data: ${JSON.stringify({
-                id: responseId,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model,
-                choices: [
-                  {
-                    index: 0,
-                    delta: {
-                      content: "\n</think>\n",
-                    },
-                  },
-                ],
-              })}\n\n`
-            );
+      // 各choice的数据块按上游输出的先后交错发送，出错的choice单独处理
+      const results = await Promise.all(upstreams.map(async (upstream, index) => {
+        const choice = chatStream.choice(index);
+        try {
+          return await streamChoice(upstream, choice, choiceOptions);
+        } catch (streamError) {
+          // 客户端已断开或其它choice出错后已关闭该上游请求，无需再返回内容
+          if (abortController.signal.aborted || upstream.closed) {
+            return null;
           }
-          
-          res.write('data: [DONE]\n\n');
-          res.end();
-        }
-      } catch (streamError) {
-        logger.error('Stream error:', streamError);
-        // 确保在发送错误信息前检查响应是否已结束
-        if (!res.writableEnded) {
-          if (streamError.name === 'TimeoutError') {
+          logger.error('Stream error:', streamError);
+          // 上游错误需按分类处理Cookie
+          const cursorErrorResult = streamError instanceof CursorError
+            ? handleCursorError(streamError, bearerToken, upstream.cookie)
+            : null;
+          if (errorMode === 'strict') {
+            sendStrictError(res, toApiError(streamError), chatStream);
+            // 响应已结束，中止其余choice的上游请求
+            closeUpstreams(upstreams);
+          } else if (cursorErrorResult) {
+            // 将上游错误作为assistant消息发送
+            choice.content(cursorErrorResult.message);
+          } else if (streamError.name === 'TimeoutError') {
             // 将超时错误作为assistant消息发送
-            const errorMessage = `⚠️ 请求超时 ⚠️\n\n错误：服务器响应超时，请稍后重试。`;
-            res.write(
-              `data: ${JSON.stringify({
-                id: responseId,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model,
-                choices: [
-                  {
-                    index: 0,
-                    delta: {
-                      content: errorMessage,
-                    },
-                  },
-                ],
-              })}\n\n`
-            );
+            choice.content(`⚠️ 请求超时 ⚠️\n\n错误：服务器响应超时，请稍后重试。`);
           } else {
             // 将处理错误作为assistant消息发送
-            const errorMessage = `⚠️ 处理错误 ⚠️\n\n错误：流处理出错，请稍后重试。\n\n${streamError.message || ''}`;
-            res.write(
-              `data: ${JSON.stringify({
-                id: responseId,
-                object: 'chat.completion.chunk',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model,
-                choices: [
-                  {
-                    index: 0,
-                    delta: {
-                      content: errorMessage,
-                    },
-                  },
-                ],
-              })}\n\n`
-            );
+            choice.content(`⚠️ 处理错误 ⚠️\n\n错误：流处理出错，请稍后重试。\n\n${streamError.message || ''}`);
           }
-          res.write('data: [DONE]\n\n');
-          res.end();
+          choice.finish('stop');
+          return null;
         }
-      }
+      }));
+
+      // 出错的choice不计入usage
+      const usages = results.filter(Boolean).map(result => getUsage(result.usageContent, result.reasoning));
+      chatStream.end('stop', chatStream.includeUsage && usages.length > 0 ? mergeUsage(usages) : null);
     } else {
+      let failedUpstream = null;
       try {
-        let text = '';
-        let thinkingText = '';
-        let hasThinking = false;
-        let responseEnded = false; // 添加标志，标记响应是否已结束
-        
-        for await (const chunk of response.body) {
-          // 如果响应已结束，不再处理后续数据
-          if (responseEnded) {
-            continue;
-          }
-          
-          let result = {};
-          try {
-            result = chunkToUtf8String(chunk);
-          } catch (error) {
-            logger.error('非流式响应解析块失败:', error);
-            // 提供默认的空结果，避免后续处理出错
-            result = {
-              thinkingContent: '', 
-              content: '',
-              error: `解析错误: ${error.message}`
-            };
-          }
-          // 输出完整的result内容和类型，便于调试
-          //console.log("收到的非流式响应:", typeof result, result && typeof result === 'object' ? JSON.stringify(result) : result);
-          
-          // 检查是否返回了错误对象
-          if (result && typeof result === 'object' && result.error) {
-            //console.error('检测到错误响应:', result.error);
-            
-            // 检查是否包含特定的无效cookie错误信息
-            const errorStr = typeof result.error === 'string' ? result.error : JSON.stringify(result.error);
-            
-            // 处理错误并获取结果
-            const errorResult = handleCursorError(errorStr, bearerToken, originalAuthToken);
-            
-            // 如果是需要移除的cookie，从API Key中移除
-            if (errorResult.shouldRemoveCookie) {
-              const removed = keyManager.removeCookieFromApiKey(bearerToken, originalAuthToken);
-              logger.info(`Cookie移除${removed ? '成功' : '失败'}`);
-              
-              // 如果成功移除，在错误消息中添加明确提示
-              if (removed) {
-                errorResult.message = `⚠️ 目前Cookie已从API Key中移除 ⚠️\n\n${errorResult.message}`;
-              }
-            }
-            
-            // 无效cookie错误，格式化为assistant消息
-            res.json({
-              id: `chatcmpl-${uuidv4()}`,
-              object: 'chat.completion',
-              created: Math.floor(Date.now() / 1000),
-              model,
-              choices: [
-                {
-                  index: 0,
-                  message: {
-                    role: 'assistant',
-                    content: errorResult.message,
-                  },
-                  finish_reason: 'stop',
-                },
-              ],
-              usage: {
-                prompt_tokens: 0,
-                completion_tokens: 0,
-                total_tokens: 0,
-              },
-            });
-            
-            responseEnded = true; // 标记响应已结束
-            break; // 跳出循环，不再处理后续数据
-          }
-          
-          // 处理thinking内容
-          if (result.thinkingContent && result.thinkingContent.length > 0) {
-            thinkingText += result.thinkingContent;
-            hasThinking = true;
-          }
-          
-          // 处理正常文本内容
-          if (result.content && typeof result.content === 'string') {
-            text += result.content;
-          }
-        }
-        
-        // 只有在响应尚未结束的情况下，才处理和返回结果
-        if (!responseEnded) {
-          // 对解析后的字符串进行进一步处理
-          text = text.replace(/^.*<\|END_USER\|>/s, '');
-          text = text.replace(/^\n[a-zA-Z]?/, '').trim();
-          
-          // 如果存在thinking内容，添加标签
-          let finalContent = text;
-          if (hasThinking && thinkingText.length > 0) {
-            finalContent = `<think>\n${thinkingText}\n</think>\n${text}`;
+        const results = await Promise.all(upstreams.map(upstream => collectChoice(upstream, choiceOptions).catch((error) => {
+          // 任一choice出错时中止其余choice的上游请求
+          if (!failedUpstream) {
+            failedUpstream = upstream;
+            closeUpstreams(upstreams);
           }
+          throw error;
+        })));
 
-          res.json({
-            id: `chatcmpl-${uuidv4()}`,
-            object: 'chat.completion',
-            created: Math.floor(Date.now() / 1000),
-            model,
-            choices: [
-              {
-                index: 0,
-                message: {
-                  role: 'assistant',
-                  content: finalContent,
-                },
-                finish_reason: 'stop',
-              },
-            ],
-            usage: {
-              prompt_tokens: 0,
-              completion_tokens: 0,
-              total_tokens: 0,
+        const choices = results.map((result, index) => {
+          // 如果存在thinking内容，按输出模式处理
+          let finalContent = result.content;
+          const hasReasoning = result.reasoning.length > 0;
+          if (hasReasoning && reasoningMode === 'inline') {
+            finalContent = `<think>\n${result.reasoning}\n</think>\n${result.content}`;
+          }
+          return {
+            index,
+            message: {
+              role: 'assistant',
+              content: finalContent || (result.toolCalls.length > 0 ? null : finalContent),
+              ...(hasReasoning && reasoningMode === 'separate' ? { reasoning_content: result.reasoning } : {}),
+              ...(result.toolCalls.length > 0 ? { tool_calls: result.toolCalls } : {}),
+              // 联网搜索引用的网页
+              ...(result.citations.size > 0 ? { annotations: result.citations.toAnnotations((finalContent || '').length) } : {}),
             },
-          });
-        }
+            finish_reason: result.finishReason,
+          };
+        });
+
+        res.json({
+          id: `chatcmpl-${uuidv4()}`,
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model,
+          system_fingerprint: SYSTEM_FINGERPRINT,
+          choices,
+          usage: mergeUsage(results.map(result => getUsage(result.usageContent, result.reasoning))),
+        });
       } catch (error) {
+        // 客户端已断开，无需再返回内容
+        if (abortController.signal.aborted) {
+          return;
+        }
         logger.error('Non-stream error:', error);
         // 确保在发送错误信息前检查响应是否已结束
         if (!res.headersSent) {
-          if (error.name === 'TimeoutError') {
-            // 使用统一的错误格式
-            const errorMessage = `⚠️ 请求超时 ⚠️\n\n错误：服务器响应超时，请稍后重试。`;
+          // 上游错误需按分类处理Cookie
+          const cursorErrorResult = error instanceof CursorError
+            ? handleCursorError(error, bearerToken, failedUpstream && failedUpstream.cookie)
+            : null;
+          if (errorMode === 'strict') {
+            return sendStrictError(res, toApiError(error));
+          }
+          if (cursorErrorResult || error.name === 'TimeoutError') {
+            // 使用统一的错误格式，上游错误作为assistant消息返回
+            const errorMessage = cursorErrorResult
+              ? cursorErrorResult.message
+              : `⚠️ 请求超时 ⚠️\n\n错误：服务器响应超时，请稍后重试。`;
             return res.json({
               id: `chatcmpl-${uuidv4()}`,
               object: 'chat.completion',
@@ -977,33 +817,23 @@ router.post('/chat/completions', async (req, res) => {
       }
     }
   } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (abortController.signal.aborted) {
+      return;
+    }
     logger.error('Error:', error);
-    if (!res.headersSent) {
+    if (errorMode === 'strict') {
+      sendStrictError(res, toApiError(error), chatStream);
+    } else if (chatStream || !res.headersSent) {
       const errorText = error.name === 'TimeoutError' ? '请求超时' : '服务器内部错误';
       
       if (req.body.stream) {
         // 流式响应格式的错误
-        const responseId = `chatcmpl-${uuidv4()}`;
-        // 添加清晰的错误提示
+        // 添加清晰的错误提示，同时结束响应并停止心跳
         const errorMessage = `⚠️ 请求失败 ⚠️\n\n错误：${errorText}，请稍后重试。\n\n${error.message || ''}`;
-        res.write(
-          `data: ${JSON.stringify({
-            id: responseId,
-            object: 'chat.completion.chunk',
-            created: Math.floor(Date.now() / 1000),
-            model: req.body.model || 'unknown',
-            choices: [
-              {
-                index: 0,
-                delta: {
-                  content: errorMessage,
-                },
-              },
-            ],
-          })}\n\n`
-        );
-        res.write('data: [DONE]\n\n');
-        res.end();
+        const errorStream = chatStream || new ChatCompletionStream(res, { model: req.body.model || 'unknown' });
+        errorStream.content(errorMessage);
+        errorStream.end('stop');
       } else {
         // 非流式响应格式的错误
         // 添加清晰的错误提示
@@ -1034,6 +864,546 @@ router.post('/chat/completions', async (req, res) => {
   }
 });
 
+// 文本补全接口（旧版completions API）
+router.post('/completions', async (req, res) => {
+  const bearerToken = req.headers.authorization?.replace('Bearer ', '');
+  // 错误返回模式：API Key设置 > 全局配置
+  const errorMode = getErrorMode(bearerToken);
+  // 客户端断开连接时中止上游请求
+  const abortController = abortOnDisconnect(req, res);
+  const { model, suffix, echo = false, stream = false, stream_options } = req.body || {};
+
+  let completionStream = null;
+  let upstream = null;
+  try {
+    if (!model) {
+      throw new InvalidRequestError("Missing required parameter: 'model'.", 'model', 'missing_required_parameter');
+    }
+    const stop = resolveStopSequences(req.body.stop);
+    const maxTokens = resolveMaxTokens(req.body.max_tokens, 'max_tokens');
+    const prompt = resolvePrompt(req.body && req.body.prompt);
+    const messages = buildCompletionMessages(prompt, suffix);
+
+    if (!bearerToken) {
+      return res.status(401).json(new ApiError('Missing API key in the Authorization header.', {
+        status: 401, type: 'invalid_request_error', code: 'invalid_api_key',
+      }).toJSON());
+    }
+
+    const keySettings = keyManager.getApiKeySettings(bearerToken);
+    // 附带的文档：请求参数 > API Key设置
+    const docs = resolveCursorDocs(req.body.cursor_docs, keySettings.cursorDocs);
+    const webSearch = resolveWebSearch(model, req.body);
+    // 依次去掉:online和对话模式后缀后按模型别名解析上游模型名
+    const chatMode = resolveChatMode(webSearch.model, req.body.chat_mode, keySettings.chatMode);
+    const upstreamModel = modelAliases.resolveModel(chatMode.model);
+    chatMode.mode = resolveSupportedChatMode(upstreamModel.name, chatMode, getCachedModel(upstreamModel.name));
+    const cursorBody = generateCursorBody(messages, upstreamModel.name, {
+      largeContext: upstreamModel.largeContext,
+      webSearch: webSearch.enabled,
+      docs,
+      chatMode: chatMode.mode,
+    });
+    // 流式请求在等待上游期间定时发送心跳
+    completionStream = stream
+      ? new TextCompletionStream(res, {
+        model,
+        includeUsage: Boolean(stream_options && stream_options.include_usage),
+      }).startHeartbeat(config.heartbeatInterval)
+      : null;
+
+    upstream = await openCursorChat(bearerToken, cursorBody, {
+      model: upstreamModel.name,
+      checksum: req.headers['x-cursor-checksum'],
+      signal: abortController.signal,
+    });
+
+    let reasoning = ''; // 思考内容只计入usage，不输出
+    const citations = new CitationCollector(); // 联网搜索返回的网页
+    const limiter = new OutputLimiter({ stop, maxTokens, model }); // 停止序列和输出token上限
+    if (echo && completionStream) {
+      completionStream.text(prompt);
+    }
+
+    for await (const event of upstream.events) {
+      // 流结束帧中包含错误时抛出，由下方统一处理
+      if (event.type === 'end') {
+        if (event.error) {
+          throw parseCursorError(event.error, event.raw);
+        }
+        break;
+      }
+      reasoning += event.thinking;
+      citations.add(event.webPages);
+      if (completionStream) {
+        completionStream.text(limiter.feed(event.content));
+      } else {
+        limiter.feed(event.content);
+      }
+      // 达到输出限制后停止读取，中止上游请求
+      if (limiter.finished) {
+        break;
+      }
+    }
+    // text_completion没有引用字段，联网搜索引用的网页追加在补全文本末尾，不计入usage
+    const sources = citations.toText();
+    const rest = limiter.flush();
+    if (completionStream) {
+      completionStream.text(rest + sources);
+    }
+    const text = limiter.text + sources; // 补全文本，不含echo的prompt
+    const finishReason = limiter.finishReason || 'stop';
+
+    const usage = buildUsage({
+      promptTokens: estimatePromptTokens(messages, model),
+      content: limiter.text,
+      reasoning,
+      model,
+    });
+
+    if (completionStream) {
+      completionStream.end(finishReason, usage);
+      return;
+    }
+    res.json({
+      id: `cmpl-${uuidv4()}`,
+      object: 'text_completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      system_fingerprint: SYSTEM_FINGERPRINT,
+      choices: [
+        {
+          text: echo ? prompt + text : text,
+          index: 0,
+          logprobs: null,
+          finish_reason: finishReason,
+        },
+      ],
+      usage,
+    });
+  } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (abortController.signal.aborted) {
+      return;
+    }
+    // 参数错误始终按OpenAI格式返回400
+    if (error instanceof InvalidRequestError && !res.headersSent) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Completions error:', error);
+
+    // 上游错误需按分类处理Cookie
+    const cursorErrorResult = error instanceof CursorError
+      ? handleCursorError(error, bearerToken, upstream && upstream.cookie)
+      : null;
+    if (errorMode === 'strict') {
+      return sendStrictError(res, toApiError(error), completionStream);
+    }
+
+    // compat模式下将错误作为补全文本返回
+    const errorMessage = cursorErrorResult
+      ? cursorErrorResult.message
+      : `⚠️ 请求失败 ⚠️\n\n错误：${error.name === 'TimeoutError' ? '请求超时' : '服务器内部错误'}，请稍后重试。\n\n${error.message || ''}`;
+    if (completionStream) {
+      completionStream.text(errorMessage);
+      completionStream.end('stop');
+    } else if (!res.headersSent) {
+      res.json({
+        id: `cmpl-${uuidv4()}`,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model || 'unknown',
+        choices: [
+          {
+            text: errorMessage,
+            index: 0,
+            logprobs: null,
+            finish_reason: 'stop',
+          },
+        ],
+        usage: {
+          prompt_tokens: 0,
+          completion_tokens: 0,
+          total_tokens: 0,
+        },
+      });
+    }
+  }
+});
+
+// Responses API
+router.post('/responses', async (req, res) => {
+  const bearerToken = req.headers.authorization?.replace('Bearer ', '');
+  // 错误返回模式：API Key设置 > 全局配置
+  const errorMode = getErrorMode(bearerToken);
+  // 客户端断开连接时中止上游请求
+  const abortController = abortOnDisconnect(req, res);
+  const {
+    model, input, instructions, previous_response_id, tools, tool_choice,
+    stream = false, store, max_output_tokens, metadata,
+  } = req.body || {};
+
+  let responseStream = null;
+  let builder = null; // 参数校验通过后创建，此前的错误均按HTTP错误返回
+  let upstream = null;
+  try {
+    if (!model) {
+      throw new InvalidRequestError("Missing required parameter: 'model'.", 'model', 'missing_required_parameter');
+    }
+    if (instructions != null && typeof instructions !== 'string') {
+      throw new InvalidRequestError("Invalid type for 'instructions': expected a string.", 'instructions', 'invalid_type');
+    }
+    const maxOutputTokens = resolveMaxTokens(max_output_tokens, 'max_output_tokens');
+    const keySettings = keyManager.getApiKeySettings(bearerToken);
+    // 附带的文档：请求参数 > API Key设置
+    const docs = resolveCursorDocs(req.body.cursor_docs, keySettings.cursorDocs);
+    const webSearch = resolveWebSearch(model, req.body);
+    // 依次去掉:online和对话模式后缀后按模型别名解析上游模型名
+    const chatMode = resolveChatMode(webSearch.model, req.body.chat_mode, keySettings.chatMode);
+    const upstreamModel = modelAliases.resolveModel(chatMode.model);
+    chatMode.mode = resolveSupportedChatMode(upstreamModel.name, chatMode, getCachedModel(upstreamModel.name));
+    if (!bearerToken) {
+      return res.status(401).json(new ApiError('Missing API key in the Authorization header.', {
+        status: 401, type: 'invalid_request_error', code: 'invalid_api_key',
+      }).toJSON());
+    }
+
+    // 对话消息：上一个响应的对话 + 本次input，instructions只作用于本次请求
+    const history = previous_response_id ? buildConversation(bearerToken, previous_response_id) : [];
+    const messages = [...history, ...inputToMessages(input)];
+    const requestMessages = instructions
+      ? [{ role: 'system', content: instructions, images: [] }, ...messages]
+      : messages;
+    const chatTools = convertTools(tools);
+    const chatToolChoice = convertToolChoice(tool_choice);
+    const toolsEnabled = isToolCallingEnabled(chatTools, chatToolChoice);
+    const cursorBody = generateCursorBody(requestMessages, upstreamModel.name, {
+      tools: chatTools,
+      toolChoice: chatToolChoice,
+      largeContext: upstreamModel.largeContext,
+      webSearch: webSearch.enabled,
+      docs,
+      chatMode: chatMode.mode,
+    });
+
+    // 流式请求在等待上游期间定时发送心跳
+    responseStream = stream
+      ? new ResponseStream(res).startHeartbeat(config.heartbeatInterval)
+      : null;
+    builder = new ResponseBuilder(responseStream, {
+      model,
+      instructions,
+      previousResponseId: previous_response_id,
+      tools,
+      toolChoice: tool_choice,
+      maxOutputTokens,
+      store,
+      metadata,
+    });
+
+    upstream = await openCursorChat(bearerToken, cursorBody, {
+      model: upstreamModel.name,
+      checksum: req.headers['x-cursor-checksum'],
+      signal: abortController.signal,
+    });
+
+    let content = '';
+    let reasoning = '';
+    const citations = new CitationCollector(); // 联网搜索返回的网页
+    const toolParser = toolsEnabled ? new ToolCallParser() : null; // 启用工具时解析输出中的tool_call
+    const limiter = new OutputLimiter({ maxTokens: maxOutputTokens, model }); // 输出token上限
+    const writeParsedEvents = (events) => {
+      for (const event of events) {
+        if (limiter.finished) {
+          return;
+        }
+        if (event.type === 'tool_call') {
+          builder.toolCall(event.toolCall);
+        } else {
+          builder.text(limiter.feed(event.text));
+        }
+      }
+    };
+
+    for await (const event of upstream.events) {
+      // 流结束帧中包含错误时抛出，由下方统一处理
+      if (event.type === 'end') {
+        if (event.error) {
+          throw parseCursorError(event.error, event.raw);
+        }
+        break;
+      }
+      citations.add(event.webPages);
+      if (event.thinking) {
+        reasoning += event.thinking;
+        builder.reasoning(event.thinking);
+      }
+      if (event.content) {
+        content += event.content;
+        writeParsedEvents(toolParser
+          ? toolParser.feed(event.content)
+          : [{ type: 'content', text: event.content }]);
+      }
+      // 达到输出上限后停止读取，中止上游请求
+      if (limiter.finished) {
+        break;
+      }
+    }
+    if (toolParser) {
+      writeParsedEvents(toolParser.flush());
+    }
+    builder.text(limiter.flush());
+    builder.urlCitations(citations.toAnnotations(0));
+
+    const response = builder.complete(buildUsage({
+      promptTokens: estimatePromptTokens(requestMessages, model, { tools: chatTools, toolChoice: chatToolChoice }),
+      content: limiter.finished ? limiter.text : content,
+      reasoning,
+      model,
+    }), limiter.finished ? 'max_output_tokens' : null);
+    if (store !== false) {
+      saveResponse(bearerToken, response, messages);
+    }
+
+    if (responseStream) {
+      responseStream.close();
+    } else {
+      res.json(response);
+    }
+  } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (abortController.signal.aborted) {
+      return;
+    }
+    // 参数错误（含previous_response_id不存在）始终按OpenAI格式返回
+    if (error instanceof ApiError && !builder && !res.headersSent) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Responses error:', error);
+
+    // 上游错误需按分类处理Cookie
+    const cursorErrorResult = error instanceof CursorError
+      ? handleCursorError(error, bearerToken, upstream && upstream.cookie)
+      : null;
+    if (errorMode === 'strict') {
+      if (!builder || !res.headersSent) {
+        return sendStrictError(res, toApiError(error));
+      }
+      // 流式输出中途失败时发送response.failed事件
+      builder.fail(toApiError(error));
+      return responseStream.close();
+    }
+
+    // compat模式下将错误作为输出文本返回
+    const errorMessage = cursorErrorResult
+      ? cursorErrorResult.message
+      : `⚠️ 请求失败 ⚠️\n\n错误：${error.name === 'TimeoutError' ? '请求超时' : '服务器内部错误'}，请稍后重试。\n\n${error.message || ''}`;
+    if (!builder) {
+      builder = new ResponseBuilder(null, { model: model || 'unknown' });
+    }
+    builder.text(errorMessage);
+    const response = builder.complete(buildUsage({ model }));
+    if (responseStream) {
+      responseStream.close();
+    } else if (!res.headersSent) {
+      res.json(response);
+    }
+  }
+});
+
+// 获取已保存的响应，只能读取同一API Key创建的响应
+router.get('/responses/:id', (req, res) => {
+  const bearerToken = req.headers.authorization?.replace('Bearer ', '');
+  if (!bearerToken) {
+    return res.status(401).json(new ApiError('Missing API key in the Authorization header.', {
+      status: 401, type: 'invalid_request_error', code: 'invalid_api_key',
+    }).toJSON());
+  }
+  const record = getResponse(bearerToken, req.params.id);
+  if (!record) {
+    return res.status(404).json(new ApiError(`Response with id '${req.params.id}' not found.`, {
+      status: 404, type: 'invalid_request_error', param: 'id', code: 'response_not_found',
+    }).toJSON());
+  }
+  res.json(record.response);
+});
+
+// Anthropic Messages API，API Key从x-api-key请求头读取
+router.post('/messages', async (req, res) => {
+  const apiKey = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+  // 错误返回模式：API Key设置 > 全局配置
+  const errorMode = getErrorMode(apiKey);
+  // 客户端断开连接时中止上游请求
+  const abortController = abortOnDisconnect(req, res);
+  const {
+    model, system, messages, max_tokens, stop_sequences, thinking, tools, tool_choice, stream = false,
+  } = req.body || {};
+
+  let messageStream = null;
+  let builder = null; // 参数校验通过后创建，此前的错误均按HTTP错误返回
+  let upstream = null;
+  try {
+    if (!model) {
+      throw new InvalidRequestError('model: Field required', 'model', 'missing_required_parameter');
+    }
+    if (!(Number.isInteger(max_tokens) && max_tokens > 0)) {
+      throw new InvalidRequestError(
+        max_tokens === undefined ? 'max_tokens: Field required' : `max_tokens: expected a positive integer, got ${JSON.stringify(max_tokens)}`,
+        'max_tokens',
+        'invalid_value'
+      );
+    }
+    if (stop_sequences != null && !Array.isArray(stop_sequences)) {
+      throw new InvalidRequestError('stop_sequences: expected an array of strings', 'stop_sequences', 'invalid_type');
+    }
+    const stop = resolveStopSequences(stop_sequences, 'stop_sequences');
+    const keySettings = keyManager.getApiKeySettings(apiKey);
+    // 附带的文档：请求参数 > API Key设置
+    const docs = resolveCursorDocs(req.body.cursor_docs, keySettings.cursorDocs);
+    const webSearch = resolveWebSearch(model, req.body);
+    // 依次去掉:online和对话模式后缀后按模型别名解析上游模型名
+    const chatMode = resolveChatMode(webSearch.model, req.body.chat_mode, keySettings.chatMode);
+    const upstreamModel = modelAliases.resolveModel(chatMode.model);
+    chatMode.mode = resolveSupportedChatMode(upstreamModel.name, chatMode, getCachedModel(upstreamModel.name));
+    // 上游没有思考预算参数，thinking只决定是否返回thinking块
+    const thinkingEnabled = Boolean(thinking && thinking.type === 'enabled');
+    if (thinkingEnabled && !(Number.isInteger(thinking.budget_tokens) && thinking.budget_tokens >= 1024 && thinking.budget_tokens < max_tokens)) {
+      throw new InvalidRequestError('thinking.budget_tokens: must be an integer >= 1024 and less than max_tokens', 'thinking.budget_tokens', 'invalid_value');
+    }
+    if (!apiKey) {
+      return res.status(401).json(toAnthropicError(new ApiError('x-api-key header is required', { status: 401 })));
+    }
+
+    const normalizedMessages = anthropicToMessages(system, messages);
+    const { tools: chatTools, toolChoice: chatToolChoice } = convertAnthropicTools(tools, tool_choice);
+    const toolsEnabled = isToolCallingEnabled(chatTools, chatToolChoice);
+    const cursorBody = generateCursorBody(normalizedMessages, upstreamModel.name, {
+      tools: chatTools,
+      toolChoice: chatToolChoice,
+      largeContext: upstreamModel.largeContext,
+      webSearch: webSearch.enabled,
+      docs,
+      chatMode: chatMode.mode,
+    });
+
+    // 流式请求在等待上游期间定时发送心跳
+    messageStream = stream
+      ? new AnthropicMessageStream(res).startHeartbeat(config.heartbeatInterval)
+      : null;
+    builder = new AnthropicMessageBuilder(messageStream, {
+      model,
+      inputTokens: estimatePromptTokens(normalizedMessages, model, { tools: chatTools, toolChoice: chatToolChoice }),
+    });
+
+    upstream = await openCursorChat(apiKey, cursorBody, {
+      model: upstreamModel.name,
+      checksum: req.headers['x-cursor-checksum'],
+      signal: abortController.signal,
+    });
+
+    let reasoning = '';
+    const citations = new CitationCollector(); // 联网搜索返回的网页
+    const toolParser = toolsEnabled ? new ToolCallParser() : null; // 启用工具时解析输出中的tool_call
+    const limiter = new OutputLimiter({ stop, maxTokens: max_tokens, model }); // 停止序列和输出token上限
+    const writeParsedEvents = (events) => {
+      for (const event of events) {
+        if (limiter.finished) {
+          return;
+        }
+        if (event.type === 'tool_call') {
+          builder.toolUse(event.toolCall);
+        } else {
+          builder.text(limiter.feed(event.text));
+        }
+      }
+    };
+
+    for await (const event of upstream.events) {
+      // 流结束帧中包含错误时抛出，由下方统一处理
+      if (event.type === 'end') {
+        if (event.error) {
+          throw parseCursorError(event.error, event.raw);
+        }
+        break;
+      }
+      citations.add(event.webPages);
+      if (event.thinking) {
+        reasoning += event.thinking;
+        if (thinkingEnabled) {
+          builder.thinking(event.thinking);
+        }
+      }
+      if (event.content) {
+        writeParsedEvents(toolParser
+          ? toolParser.feed(event.content)
+          : [{ type: 'content', text: event.content }]);
+      }
+      // 达到输出限制后停止读取，中止上游请求
+      if (limiter.finished) {
+        break;
+      }
+    }
+    // 输出工具解析和停止序列检测中暂缓的内容
+    writeParsedEvents(toolParser ? toolParser.flush() : []);
+    builder.text(limiter.flush());
+    // 没有对应的引用字段，联网搜索引用的网页追加在正文末尾，不计入usage
+    if (citations.size > 0) {
+      builder.text(citations.toText());
+    }
+
+    const stopReason = { stop: 'stop_sequence', length: 'max_tokens' }[limiter.finishReason]
+      || (toolParser && toolParser.toolCalls.length > 0 ? 'tool_use' : 'end_turn');
+    const message = builder.complete({
+      stopReason,
+      stopSequence: limiter.stopSequence,
+      outputTokens: buildUsage({ content: limiter.text, reasoning, model }).completion_tokens,
+    });
+    if (messageStream) {
+      messageStream.close();
+    } else {
+      res.json(message);
+    }
+  } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (abortController.signal.aborted) {
+      return;
+    }
+    // 参数错误始终按Anthropic格式返回
+    if (error instanceof ApiError && !builder && !res.headersSent) {
+      return res.status(error.status).json(toAnthropicError(error));
+    }
+    logger.error('Messages error:', error);
+
+    // 上游错误需按分类处理Cookie
+    const cursorErrorResult = error instanceof CursorError
+      ? handleCursorError(error, apiKey, upstream && upstream.cookie)
+      : null;
+    if (errorMode === 'strict') {
+      const apiError = toApiError(error);
+      logger.error(`返回错误[${apiError.status} ${apiError.type}]: ${apiError.message}`);
+      if (!res.headersSent) {
+        return res.status(apiError.status).json(toAnthropicError(apiError));
+      }
+      return messageStream.error(apiError);
+    }
+
+    // compat模式下将错误作为text块返回
+    const errorMessage = cursorErrorResult
+      ? cursorErrorResult.message
+      : `⚠️ 请求失败 ⚠️\n\n错误：${error.name === 'TimeoutError' ? '请求超时' : '服务器内部错误'}，请稍后重试。\n\n${error.message || ''}`;
+    if (!builder) {
+      builder = new AnthropicMessageBuilder(null, { model: model || 'unknown' });
+    }
+    builder.text(errorMessage);
+    const message = builder.complete({ stopReason: 'end_turn', outputTokens: 0 });
+    if (messageStream) {
+      messageStream.close();
+    } else if (!res.headersSent) {
+      res.json(message);
+    }
+  }
+});
+
 // 触发Cookie刷新
 router.post("/refresh-cookies", async (req, res) => {
   try {
@@ -1411,261 +1781,294 @@ router.delete("/logs", (req, res) => {
     });
   }
 });
-async function others(authToken, clientKey, checksum, cursorClientVersion, sessionid){
-  try {
-    // 定义所有API端点配置
-    const endpoints = [
-      {
-        url: 'https://api2.cursor.sh/aiserver.v1.AiService/CheckFeatureStatus',
-        method: 'POST',
-        headers: {
-          'accept-encoding': 'gzip',
-          'authorization': `Bearer ${authToken}`,
-          'connect-protocol-version': '1',
-          'content-type': 'application/proto',
-          'user-agent': 'connect-es/1.6.1',
-          'x-client-key': clientKey,
-          'x-cursor-checksum': checksum,
-          'x-cursor-client-version': cursorClientVersion,
-          'x-cursor-config-version': uuidv4(),
-          'x-cursor-timezone': 'Asia/Tokyo',
-          'x-ghost-mode': 'true',
-          'x-new-onboarding-completed': 'false',
-          'x-session-id': sessionid,
-          'Host': 'api2.cursor.sh',
-        },
-        body: '', // 实际长度为23字节
-        timeout: {
-          connect: 5000,
-          read: 30000
-        }
-      },
-      {
-        url: 'https://api2.cursor.sh/aiserver.v1.AiService/AvailableDocs',
-        method: 'POST',
-        headers: {
-          'authorization': `Bearer ${authToken}`,
-          'connect-accept-encoding': 'gzip',
-          'connect-protocol-version': '1',
-          'content-type': 'application/proto',
-          'user-agent': 'connect-es/1.6.1',
-          'x-amzn-trace-id': `Root=${uuidv4()}`,
-          'x-client-key': clientKey,
-          'x-cursor-checksum': checksum,
-          'x-cursor-client-version': cursorClientVersion,
-          'x-cursor-config-version': uuidv4(),
-          'x-cursor-timezone': 'Asia/Tokyo',
-          'x-ghost-mode': 'true',
-          'x-request-id': uuidv4(),
-          'x-session-id': sessionid,
-          'Host': 'api2.cursor.sh',
-        },
-        timeout: {
-          connect: 5000,
-          read: 30000
-        }
-      },
-      {
-        url: 'https://api2.cursor.sh/aiserver.v1.DashboardService/GetTeams',
-        method: 'POST',
-        headers: {
-          'accept-encoding': 'gzip',
-          'authorization': `Bearer ${authToken}`,
-          'connect-protocol-version': '1',
-          'content-type': 'application/proto',
-          'user-agent': 'connect-es/1.6.1',
-          'x-amzn-trace-id': `Root=${uuidv4()}`,
-          'x-client-key': clientKey,
-          'x-cursor-checksum': checksum,
-          'x-cursor-client-version': cursorClientVersion,
-          'x-cursor-config-version': uuidv4(),
-          'x-cursor-timezone': 'Asia/Tokyo',
-          'x-ghost-mode': 'true',
-          'x-new-onboarding-completed': 'false',
-          'x-request-id': uuidv4(),
-          'x-session-id': sessionid,
-          'Host': 'api2.cursor.sh',
-        },
-        body: '',
-        timeout: {
-          connect: 5000,
-          read: 30000
-        }
-      },
-      {
-        url: 'https://api2.cursor.sh/auth/full_stripe_profile',
-        method: 'GET',
-        headers: {
-          'Host': 'api2.cursor.sh',
-          'Connection': 'keep-alive',
-          'Authorization': `Bearer ${authToken}`,
-          'x-new-onboarding-completed': 'false',
-          'x-ghost-mode': 'true',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Cursor/0.49.4 Chrome/132.0.6834.210 Electron/34.3.4 Safari/537.36',
-          'Accept': '*/*',
-          'Origin': 'vscode-file://vscode-app',
-          'Sec-Fetch-Site': 'cross-site',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Dest': 'empty',
-          'Accept-Encoding': 'gzip, deflate, br, zstd',
-          'Accept-Language': 'zh-CN'
-        },
-        timeout: {
-          connect: 5000,
-          read: 30000
-        }
-      },
-      {
-        url: 'https://api2.cursor.sh/aiserver.v1.DashboardService/GetUsageBasedPremiumRequests',
-        method: 'POST',
-        headers: {
-          'accept-encoding': 'gzip',
-          'authorization': `Bearer ${authToken}`,
-          'connect-protocol-version': '1',
-          'content-type': 'application/proto',
-          'user-agent': 'connect-es/1.6.1',
-          'x-client-key': clientKey,
-          'x-cursor-checksum': checksum,
-          'x-cursor-client-version': cursorClientVersion,
-          'x-cursor-config-version': uuidv4(),
-          'x-cursor-timezone': 'Asia/Tokyo',
-          'x-ghost-mode': 'true',
-          'x-new-onboarding-completed': 'false',
-          'x-session-id': sessionid,
-          'Host': 'api2.cursor.sh',
-        },
-        body: '',
-        timeout: {
-          connect: 5000,
-          read: 30000
-        }
-      },
-      {
-        url: 'https://api2.cursor.sh/aiserver.v1.DashboardService/GetHardLimit',
-        method: 'POST',
-        headers: {
-          'accept-encoding': 'gzip',
-          'authorization': `Bearer ${authToken}`,
-          'connect-protocol-version': '1',
-          'content-type': 'application/proto',
-          'user-agent': 'connect-es/1.6.1',
-          'x-client-key': clientKey,
-          'x-cursor-checksum': checksum,
-          'x-cursor-client-version': cursorClientVersion,
-          'x-cursor-config-version': uuidv4(),
-          'x-cursor-timezone': 'Asia/Tokyo',
-          'x-ghost-mode': 'true',
-          'x-new-onboarding-completed': 'false',
-          'x-session-id': sessionid,
-          'Host': 'api2.cursor.sh',
-        },
-        body: '',
-        timeout: {
-          connect: 5000,
-          read: 30000
-        }
+/**
+ * 生成/v1/models返回的模型对象
+ * 除OpenAI的标准字段外，附带上游返回的能力标记：default_on、is_long_context_only、is_chat_only
+ * 模型别名的root为对应的上游模型，能力标记与上游模型相同
+ * @param {Array} models - getAvailableModels返回的模型列表
+ * @param {number} fetchedAt - 模型列表的获取时间(毫秒)
+ * @returns {Array<Object>}
+ */
+function listModelObjects(models, fetchedAt) {
+  const created = Math.floor(fetchedAt / 1000);
+  const toModelObject = (id, model, extra = {}) => ({
+    id,
+    object: 'model',
+    created,
+    owned_by: 'cursor',
+    ...extra,
+    default_on: model ? model.defaultOn : false,
+    is_long_context_only: model ? model.isLongContextOnly : false,
+    is_chat_only: model ? model.isChatOnly : false,
+  });
+
+  return [
+    ...models.map(model => toModelObject(model.name, model)),
+    ...Object.keys(modelAliases.getAllModelAliases()).map(alias => {
+      const root = modelAliases.resolveModel(alias).name;
+      return toModelObject(alias, models.find(model => model.name === root), { root });
+    }),
+  ];
+}
+
+// 获取错误返回模式：API Key设置 > 全局配置
+function getErrorMode(apiKey) {
+  return keyManager.getApiKeySettings(apiKey).errorMode ?? config.errorMode;
+}
+
+/**
+ * 读取一个choice的上游输出并写入流式输出器
+ * @param {{events: AsyncGenerator}} upstream - openCursorChat的返回值
+ * @param {import('../utils/sseWriter').ChatCompletionChoice} choice
+ * @param {Object} options
+ * @returns {Promise<{usageContent: string, reasoning: string}>} usageContent为计算usage用的正文
+ */
+async function streamChoice(upstream, choice, { toolsEnabled, stop, maxTokens, model }) {
+  let accumulatedThinking = ''; // 累积thinking内容
+  let accumulatedContent = ''; // 累积content内容
+  const citations = new CitationCollector(); // 联网搜索返回的网页
+  const toolParser = toolsEnabled ? new ToolCallParser() : null; // 启用工具时解析输出中的tool_call
+  const limiter = new OutputLimiter({ stop, maxTokens, model }); // 停止序列和输出token上限
+
+  // 输出解析后的正文和工具调用，达到输出限制后丢弃之后的内容
+  const writeParsedEvents = (events) => {
+    for (const event of events) {
+      if (limiter.finished) {
+        return;
       }
-    ];
+      if (event.type === 'tool_call') {
+        choice.toolCall(event.index, event.toolCall);
+      } else {
+        choice.content(limiter.feed(event.text));
+      }
+    }
+  };
 
-    // 随机选择2-4个接口调用
-    const minApis = 2;
-    const maxApis = 4;
-    const numApisToCall = Math.floor(Math.random() * (maxApis - minApis + 1)) + minApis;
-    
-    // 随机打乱数组并取前几个元素
-    const shuffledEndpoints = [...endpoints].sort(() => 0.5 - Math.random()).slice(0, numApisToCall);
-    
-    // 使用Promise.allSettled确保即使一个请求失败也不会影响其他请求
-    const results = await Promise.allSettled(shuffledEndpoints.map(async (endpoint) => {
-      try {
-        const response = await fetch(endpoint.url, {
-          method: endpoint.method,
-          headers: endpoint.headers,
-          body: endpoint.body || undefined,
-          timeout: endpoint.timeout
-        });
-        
-        return {
-          url: endpoint.url,
-          status: response.status,
-          success: true
-        };
-      } catch (error) {
-        // 记录单个请求的错误，但不中断整体流程
-        logger.debug(`其它API调用失败 (${endpoint.url}): ${error.message}`);
-        return {
-          url: endpoint.url,
-          success: false,
-          error: error.message
-        };
+  for await (const event of upstream.events) {
+    // 流结束帧中包含错误时抛出，由调用方统一处理
+    if (event.type === 'end') {
+      if (event.error) {
+        throw parseCursorError(event.error, event.raw);
       }
-    }));
-    
-    // 记录请求结果统计
-    const successCount = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    logger.debug(`其它API调用完成: 成功 ${successCount}/${results.length}`);
-    
-    return true;
-  } catch (error) {
-    // 记录整体错误，但不影响主流程
-    logger.error(`others函数执行出错: ${error.message}`);
-    return false;
+      break;
+    }
+
+    citations.add(event.webPages);
+
+    // 处理thinking内容
+    if (event.thinking) {
+      accumulatedThinking += event.thinking;
+      choice.reasoning(event.thinking);
+    }
+
+    // 处理常规内容
+    if (event.content) {
+      accumulatedContent += event.content;
+      writeParsedEvents(toolParser
+        ? toolParser.feed(event.content)
+        : [{ type: 'content', text: event.content }]);
+    }
+
+    // 达到输出限制后停止读取，中止上游请求
+    if (limiter.finished) {
+      break;
+    }
   }
+
+  // 输出工具解析缓冲区和停止序列检测中暂缓的内容
+  if (toolParser) {
+    writeParsedEvents(toolParser.flush());
+  }
+  choice.content(limiter.flush());
+  // 引用在正文输出完后、finish_reason之前发送
+  choice.annotations(citations.toAnnotations(limiter.text.length));
+
+  choice.finish(limiter.finishReason
+    || (toolParser && toolParser.toolCalls.length > 0 ? 'tool_calls' : 'stop'));
+  // 提前结束时usage按实际输出的内容计算
+  return { usageContent: limiter.finished ? limiter.text : accumulatedContent, reasoning: accumulatedThinking };
 }
-// 在文件末尾添加错误处理函数
-function handleCursorError(errorStr, bearerToken, originalAuthToken) {
-  let message = '';
-  let shouldRemoveCookie = false;
-  
-  if (errorStr.includes('Not logged in')) {
-    // 更明确的错误日志
-    if (originalAuthToken === bearerToken) {
-      logger.error(`检测到API Key "${bearerToken}" 中没有可用Cookie，正在尝试以向后兼容模式使用API Key本身`);
-      message = `错误：API Key "${bearerToken}" 中没有可用的Cookie。请添加有效的Cookie到此API Key，或使用其他有效的API Key。\n\n详细信息：${errorStr}`;
-    } else {
-      logger.error('检测到无效cookie:', originalAuthToken);
-      message = `错误：Cookie无效或已过期，请更新Cookie。\n\n详细信息：${errorStr}`;
-    }
-    shouldRemoveCookie = true;
-  } else if (errorStr.includes('You\'ve reached your trial request limit') || errorStr.includes('You\'ve reached the usage limit for free usage')) {
-    logger.error('检测到额度用尽cookie:', originalAuthToken);
-    message = `错误：Cookie使用额度已用完，请更换Cookie或等待刷新。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = true;
-  } else if (errorStr.includes('User is unauthorized')) {
-    logger.error('检测到未授权cookie:', originalAuthToken);
-    message = `错误：Cookie已被封禁或失效，请更换Cookie。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = true;
-  } else if (errorStr.includes('suspicious activity checks')) {
-    logger.error('检测到IP黑名单:', originalAuthToken);
-    message = `错误：IP可能被列入黑名单，请尝试更换网络环境或使用代理。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = false;
-  } else if (errorStr.includes('Too many computers')) {
-    logger.error('检测到账户暂时被封禁:', originalAuthToken);
-    message = `错误：账户因在多台设备登录而暂时被封禁，请稍后再试或更换账户。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = true;
-  } else if (errorStr.includes('Login expired') || errorStr.includes('login expired')) {
-    logger.error('检测到登录过期cookie:', originalAuthToken);
-    message = `错误：Cookie登录已过期，请更新Cookie。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = true;
-  } else if(errorStr.includes('your request has been blocked due to the use of a temporary email service for this account')) {
-    logger.error('检测到临时邮箱:', originalAuthToken);
-    message = `错误：请求被阻止，检测到临时邮箱服务，请更换邮箱。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = true;
-  } else if (errorStr.includes('Your request has been blocked as our system has detected suspicious activity from your account')) {
-    logger.error('检测到账户异常:', originalAuthToken);
-    message = `错误：请求被阻止，可能是假ban，多重试几次/更换cookie/更换设备。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = false;
-  } else {
-    // 非Cookie相关错误
-    logger.error('检测到其他错误:', errorStr);
-    message = `错误：请求失败。\n\n详细信息：${errorStr}`;
-    shouldRemoveCookie = false;
+
+/**
+ * 读取一个choice的完整上游输出，用于非流式响应
+ * @param {{events: AsyncGenerator}} upstream - openCursorChat的返回值
+ * @param {Object} options
+ * @returns {Promise<{content: string, reasoning: string, toolCalls: Array, finishReason: string, usageContent: string, citations: CitationCollector}>}
+ *   usageContent为计算usage用的正文，包含工具调用的原始文本；citations为联网搜索返回的网页
+ */
+async function collectChoice(upstream, { toolsEnabled, stop, maxTokens, model }) {
+  let rawText = ''; // 上游原始输出，包含工具调用文本
+  let text = ''; // 输出限制内的正文
+  let thinkingText = '';
+  const toolCalls = [];
+  const citations = new CitationCollector(); // 联网搜索返回的网页
+  const toolParser = toolsEnabled ? new ToolCallParser() : null; // 启用工具时解析输出中的tool_call
+  const limiter = new OutputLimiter({ stop, maxTokens, model }); // 停止序列和输出token上限
+
+  // 收集解析后的正文和工具调用，达到输出限制后丢弃之后的内容
+  const collectParsedEvents = (events) => {
+    for (const event of events) {
+      if (limiter.finished) {
+        return;
+      }
+      if (event.type === 'tool_call') {
+        toolCalls.push(event.toolCall);
+      } else {
+        text += limiter.feed(event.text);
+      }
+    }
+  };
+
+  for await (const event of upstream.events) {
+    // 流结束帧中包含错误时抛出，由调用方统一处理
+    if (event.type === 'end') {
+      if (event.error) {
+        throw parseCursorError(event.error, event.raw);
+      }
+      break;
+    }
+
+    citations.add(event.webPages);
+
+    // 处理thinking内容
+    if (event.thinking) {
+      thinkingText += event.thinking;
+    }
+
+    // 处理正常文本内容
+    if (event.content) {
+      rawText += event.content;
+      collectParsedEvents(toolParser
+        ? toolParser.feed(event.content)
+        : [{ type: 'content', text: event.content }]);
+    }
+
+    // 达到输出限制后停止读取，中止上游请求
+    if (limiter.finished) {
+      break;
+    }
   }
-  
+  if (toolParser) {
+    collectParsedEvents(toolParser.flush());
+  }
+  text += limiter.flush();
+
+  // 对解析后的字符串进行进一步处理
+  text = text.replace(/^.*<\|END_USER\|>/s, '');
+  text = text.replace(/^\n[a-zA-Z]?/, '').trim();
+
   return {
-    message,
-    shouldRemoveCookie
+    content: text,
+    reasoning: thinkingText,
+    toolCalls,
+    finishReason: limiter.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop'),
+    // 提前结束时usage按实际输出的内容计算
+    usageContent: limiter.finished ? limiter.text : rawText,
+    citations,
   };
 }
 
+/**
+ * 输出response_format为json_object或json_schema的chat completion
+ * 内容通过校验后才输出，流式请求在此之前只发送心跳
+ * inline模式的<think>标签会破坏JSON正文，此时不输出思考内容
+ * @param {import('express').Response} res
+ * @param {ChatCompletionStream|null} chatStream - 流式请求的输出器，非流式时为null
+ * @param {Object} options - runStructuredChat的参数，另含apiKey、messages、n、reasoningMode和errorMode
+ */
+async function sendStructuredCompletion(res, chatStream, { apiKey, messages, n, reasoningMode, errorMode, ...options }) {
+  const { model, tools, toolChoice, signal } = options;
+  // 任一choice失败时中止其余choice
+  const choicesController = new AbortController();
+  let results;
+  try {
+    results = await Promise.all(Array.from({ length: n }, () => runStructuredChat(apiKey, messages, {
+      ...options,
+      signal: AbortSignal.any([signal, choicesController.signal]),
+    }).catch((error) => {
+      choicesController.abort(error);
+      throw error;
+    })));
+  } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (signal.aborted) {
+      return;
+    }
+    if (!(error instanceof ApiError)) {
+      throw error;
+    }
+    logger.error('Structured output error:', error);
+    if (errorMode === 'strict') {
+      return sendStrictError(res, toApiError(error), chatStream);
+    }
+    // compat模式下错误作为assistant消息返回，上游错误已在runStructuredChat中处理过Cookie
+    results = [{
+      content: error instanceof CursorError ? handleCursorError(error).message : `⚠️ 结构化输出失败 ⚠️\n\n${error.message}`,
+      reasoning: '',
+      toolCalls: [],
+      finishReason: 'stop',
+      messages: null,
+      citations: new CitationCollector(),
+    }];
+  }
+
+  const usage = mergeUsage(results.map(result => (result.messages
+    ? buildUsage({
+      promptTokens: estimatePromptTokens(result.messages, model, { tools, toolChoice }),
+      content: result.content,
+      reasoning: result.reasoning,
+      model,
+    })
+    : buildUsage({ model }))));
+
+  if (chatStream) {
+    results.forEach((result, index) => {
+      const choice = chatStream.choice(index);
+      if (result.reasoning && reasoningMode === 'separate') {
+        choice.reasoning(result.reasoning);
+      }
+      choice.content(result.content);
+      result.toolCalls.forEach((toolCall, toolIndex) => choice.toolCall(toolIndex, toolCall));
+      choice.annotations(result.citations.toAnnotations(result.content.length));
+      choice.finish(result.finishReason);
+    });
+    return chatStream.end('stop', chatStream.includeUsage ? usage : null);
+  }
+
+  res.json({
+    id: `chatcmpl-${uuidv4()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    system_fingerprint: SYSTEM_FINGERPRINT,
+    choices: results.map((result, index) => ({
+      index,
+      message: {
+        role: 'assistant',
+        content: result.content || (result.toolCalls.length > 0 ? null : result.content),
+        ...(result.reasoning && reasoningMode === 'separate' ? { reasoning_content: result.reasoning } : {}),
+        ...(result.toolCalls.length > 0 ? { tool_calls: result.toolCalls } : {}),
+        ...(result.citations.size > 0 ? { annotations: result.citations.toAnnotations(result.content.length) } : {}),
+      },
+      finish_reason: result.finishReason,
+    })),
+    usage,
+  });
+}
+
+// strict模式下输出错误：尚未开始输出时返回HTTP错误，流式输出中途则发送SSE error事件
+function sendStrictError(res, apiError, chatStream = null) {
+  logger.error(`返回错误[${apiError.status} ${apiError.type}]: ${apiError.message}`);
+  if (!res.headersSent) {
+    return res.status(apiError.status).json(apiError.toJSON());
+  }
+  if (chatStream) {
+    return chatStream.error(apiError);
+  }
+  if (!res.writableEnded) {
+    res.write(`event: error\ndata: ${JSON.stringify(apiError.toJSON())}\n\n`);
+    res.end();
+  }
+}
+
 module.exports = router;
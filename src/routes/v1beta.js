@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const { generateCursorBody } = require('../utils/utils.js');
+const { CursorError, parseCursorError } = require('../utils/cursorErrors.js');
+const { openCursorChat, abortOnDisconnect, handleCursorError } = require('../utils/cursorChat.js');
+const { resolveModel } = require('../utils/modelAliases.js');
+const { isToolCallingEnabled, ToolCallParser } = require('../utils/toolCalls.js');
+const { toGeminiError, geminiToMessages, convertGeminiTools, GeminiResponseBuilder } = require('../utils/geminiApi.js');
+const { ApiError, InvalidRequestError, toApiError } = require('../utils/errors.js');
+const { estimatePromptTokens, buildUsage } = require('../utils/tokenizer.js');
+const { resolveStopSequences, resolveMaxTokens, OutputLimiter } = require('../utils/outputLimiter.js');
+const { resolveCursorDocs } = require('../utils/cursorDocs.js');
+const { resolveChatMode, resolveSupportedChatMode } = require('../utils/chatMode.js');
+const { resolveWebSearch, CitationCollector } = require('../utils/webSearch.js');
+const { getCachedModel } = require('../utils/cursorModels.js');
+const { GeminiStream } = require('../utils/sseWriter.js');
+const keyManager = require('../utils/keyManager.js');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// 支持的模型方法
+const GEMINI_ACTIONS = ['generateContent', 'streamGenerateContent'];
+
+// Gemini generateContent / streamGenerateContent，路径形如 /models/gemini-2.5-pro:generateContent
+// API Key从key查询参数或x-goog-api-key请求头读取
+router.post('/models/:modelAction', async (req, res) => {
+  const apiKey = req.query.key || req.headers['x-goog-api-key'] || req.headers.authorization?.replace('Bearer ', '');
+  const separator = req.params.modelAction.lastIndexOf(':');
+  const model = separator > 0 ? req.params.modelAction.slice(0, separator) : '';
+  const action = separator > 0 ? req.params.modelAction.slice(separator + 1) : '';
+  if (!GEMINI_ACTIONS.includes(action)) {
+    return res.status(404).json(toGeminiError(new ApiError(`Method '${action || req.params.modelAction}' is not supported.`, { status: 404 })));
+  }
+
+  // 错误返回模式：API Key设置 > 全局配置
+  const errorMode = keyManager.getApiKeySettings(apiKey).errorMode ?? config.errorMode;
+  // 客户端断开连接时中止上游请求
+  const abortController = abortOnDisconnect(req, res);
+  const body = req.body || {};
+  const systemInstruction = body.systemInstruction ?? body.system_instruction;
+  const generationConfig = body.generationConfig ?? body.generation_config ?? {};
+  const { maxOutputTokens, stopSequences, candidateCount, thinkingConfig } = generationConfig;
+  // 流式请求只支持alt=sse，其他情况按JSON数组一次性返回
+  const stream = action === 'streamGenerateContent' && req.query.alt === 'sse';
+
+  let geminiStream = null;
+  let builder = null; // 参数校验通过后创建，此前的错误均按HTTP错误返回
+  let upstream = null;
+  try {
+    const maxTokens = resolveMaxTokens(maxOutputTokens, 'generationConfig.maxOutputTokens');
+    const stop = resolveStopSequences(stopSequences, 'generationConfig.stopSequences');
+    if (candidateCount != null && candidateCount !== 1) {
+      throw new InvalidRequestError('* GenerateContentRequest.generation_config.candidate_count: only 1 candidate is supported', 'generationConfig.candidateCount', 'unsupported_value');
+    }
+    if (!apiKey) {
+      return res.status(401).json(toGeminiError(new ApiError('Method doesn\'t allow unregistered callers. Please use API Key.', { status: 401 })));
+    }
+
+    const messages = geminiToMessages(systemInstruction, body.contents);
+    const { tools, toolChoice } = convertGeminiTools(body.tools, body.toolConfig ?? body.tool_config);
+    const toolsEnabled = isToolCallingEnabled(tools, toolChoice);
+    const keySettings = keyManager.getApiKeySettings(apiKey);
+    // Gemini请求体没有扩展参数，附带API Key设置的默认文档
+    const docs = resolveCursorDocs(undefined, keySettings.cursorDocs);
+    // 只能通过:online后缀开启联网搜索
+    const webSearch = resolveWebSearch(model, {});
+    // 对话模式：模型名后缀 > API Key设置，去掉后缀后按模型别名解析上游模型名
+    const chatMode = resolveChatMode(webSearch.model, undefined, keySettings.chatMode);
+    const upstreamModel = resolveModel(chatMode.model);
+    chatMode.mode = resolveSupportedChatMode(upstreamModel.name, chatMode, getCachedModel(upstreamModel.name));
+    const cursorBody = generateCursorBody(messages, upstreamModel.name, {
+      tools,
+      toolChoice,
+      largeContext: upstreamModel.largeContext,
+      webSearch: webSearch.enabled,
+      docs,
+      chatMode: chatMode.mode,
+    });
+    // 思考内容默认以thought part返回，includeThoughts为false时不返回
+    const includeThoughts = !(thinkingConfig && thinkingConfig.includeThoughts === false);
+
+    // 流式请求在等待上游期间定时发送心跳
+    geminiStream = stream
+      ? new GeminiStream(res).startHeartbeat(config.heartbeatInterval)
+      : null;
+    builder = new GeminiResponseBuilder(geminiStream, { model });
+
+    upstream = await openCursorChat(apiKey, cursorBody, {
+      model: upstreamModel.name,
+      checksum: req.headers['x-cursor-checksum'],
+      signal: abortController.signal,
+    });
+
+    let reasoning = '';
+    const citations = new CitationCollector(); // 联网搜索返回的网页
+    const toolParser = toolsEnabled ? new ToolCallParser() : null; // 启用工具时解析输出中的tool_call
+    const limiter = new OutputLimiter({ stop, maxTokens, model }); // 停止序列和输出token上限
+    const writeParsedEvents = (events) => {
+      for (const event of events) {
+        if (limiter.finished) {
+          return;
+        }
+        if (event.type === 'tool_call') {
+          builder.functionCall(event.toolCall);
+        } else {
+          builder.text(limiter.feed(event.text));
+        }
+      }
+    };
+
+    for await (const event of upstream.events) {
+      // 流结束帧中包含错误时抛出，由下方统一处理
+      if (event.type === 'end') {
+        if (event.error) {
+          throw parseCursorError(event.error, event.raw);
+        }
+        break;
+      }
+      citations.add(event.webPages);
+      if (event.thinking) {
+        reasoning += event.thinking;
+        if (includeThoughts) {
+          builder.thought(event.thinking);
+        }
+      }
+      if (event.content) {
+        writeParsedEvents(toolParser
+          ? toolParser.feed(event.content)
+          : [{ type: 'content', text: event.content }]);
+      }
+      // 达到输出限制后停止读取，中止上游请求
+      if (limiter.finished) {
+        break;
+      }
+    }
+    // 输出工具解析和停止序列检测中暂缓的内容
+    writeParsedEvents(toolParser ? toolParser.flush() : []);
+    builder.text(limiter.flush());
+    // 没有对应的引用字段，联网搜索引用的网页追加在正文末尾，不计入usage
+    if (citations.size > 0) {
+      builder.text(citations.toText());
+    }
+
+    const response = builder.complete(limiter.finishReason === 'length' ? 'MAX_TOKENS' : 'STOP', buildUsage({
+      promptTokens: estimatePromptTokens(messages, model, { tools, toolChoice }),
+      content: limiter.text,
+      reasoning,
+      model,
+    }));
+    if (geminiStream) {
+      geminiStream.close();
+    } else {
+      res.json(action === 'streamGenerateContent' ? [response] : response);
+    }
+  } catch (error) {
+    // 客户端已断开，无需再返回内容
+    if (abortController.signal.aborted) {
+      return;
+    }
+    // 参数错误始终按Gemini格式返回
+    if (error instanceof ApiError && !builder && !res.headersSent) {
+      return res.status(error.status).json(toGeminiError(error));
+    }
+    logger.error('Gemini error:', error);
+
+    // 上游错误需按分类处理Cookie
+    const cursorErrorResult = error instanceof CursorError
+      ? handleCursorError(error, apiKey, upstream && upstream.cookie)
+      : null;
+    if (errorMode === 'strict') {
+      const apiError = toApiError(error);
+      logger.error(`返回错误[${apiError.status} ${apiError.type}]: ${apiError.message}`);
+      if (!res.headersSent) {
+        return res.status(apiError.status).json(toGeminiError(apiError));
+      }
+      return geminiStream.error(apiError);
+    }
+
+    // compat模式下将错误作为正文返回
+    const errorMessage = cursorErrorResult
+      ? cursorErrorResult.message
+      : `⚠️ 请求失败 ⚠️\n\n错误：${error.name === 'TimeoutError' ? '请求超时' : '服务器内部错误'}，请稍后重试。\n\n${error.message || ''}`;
+    if (!builder) {
+      builder = new GeminiResponseBuilder(null, { model });
+    }
+    builder.text(errorMessage);
+    const response = builder.complete('STOP', buildUsage({ model }));
+    if (geminiStream) {
+      geminiStream.close();
+    } else if (!res.headersSent) {
+      res.json(action === 'streamGenerateContent' ? [response] : response);
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { InvalidRequestError } = require('./errors');
+const { normalizeMessage } = require('./messageNormalizer');
+
+// HTTP状态码对应的Anthropic错误类型
+const ANTHROPIC_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error',
+};
+
+// 生成Anthropic风格的id，如 msg_xxx、toolu_xxx
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+/**
+ * 将ApiError转换为Anthropic格式的错误响应体
+ * @param {import('./errors').ApiError} apiError
+ * @returns {{type: 'error', error: {type: string, message: string}}}
+ */
+function toAnthropicError(apiError) {
+  const type = ANTHROPIC_ERROR_TYPES[apiError.status] || (apiError.status === 504 ? 'timeout_error' : 'api_error');
+  return { type: 'error', error: { type, message: apiError.message } };
+}
+
+// 将Anthropic的图片来源转换为image_url
+function imageSourceToUrl(source, param) {
+  if (source && source.type === 'base64' && typeof source.data === 'string') {
+    return `data:${source.media_type || 'image/png'};base64,${source.data}`;
+  }
+  if (source && source.type === 'url' && typeof source.url === 'string') {
+    return source.url;
+  }
+  throw new InvalidRequestError(`Invalid image source at '${param}.source'.`, `${param}.source`, 'invalid_value');
+}
+
+// 将tool_result的content转换为文本，图片等非文本内容会被忽略
+function toolResultToText(block) {
+  const content = typeof block.content === 'string'
+    ? block.content
+    : (Array.isArray(block.content) ? block.content : [])
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  return block.is_error ? `Error: ${content}` : content;
+}
+
+/**
+ * 将Anthropic的单条消息转换为chat格式的消息，tool_result块会拆分为单独的tool消息
+ * @returns {Array} chat格式的消息列表
+ */
+function convertMessage(msg, param) {
+  if (!msg || typeof msg !== 'object') {
+    throw new InvalidRequestError(`Invalid type for '${param}': expected an object.`, param, 'invalid_type');
+  }
+  if (msg.role !== 'user' && msg.role !== 'assistant') {
+    throw new InvalidRequestError(`Invalid value for '${param}.role': expected 'user' or 'assistant'.`, `${param}.role`, 'invalid_value');
+  }
+  if (typeof msg.content === 'string') {
+    return [{ role: msg.role, content: msg.content }];
+  }
+  if (!Array.isArray(msg.content)) {
+    throw new InvalidRequestError(`Invalid type for '${param}.content': expected a string or an array of content blocks.`, `${param}.content`, 'invalid_type');
+  }
+
+  const toolResults = [];
+  const parts = [];
+  const toolCalls = [];
+  msg.content.forEach((block, index) => {
+    const blockParam = `${param}.content[${index}]`;
+    switch (block && block.type) {
+      case 'text':
+        parts.push({ type: 'text', text: block.text });
+        break;
+      case 'image':
+        parts.push({ type: 'image_url', image_url: { url: imageSourceToUrl(block.source, blockParam) } });
+        break;
+      case 'tool_use':
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) },
+        });
+        break;
+      case 'tool_result':
+        toolResults.push({ role: 'tool', tool_call_id: block.tool_use_id, content: toolResultToText(block) });
+        break;
+      case 'thinking':
+      case 'redacted_thinking':
+        // 历史思考内容不发送给上游
+        break;
+      default:
+        throw new InvalidRequestError(`Unsupported content block type '${block && block.type}' at '${blockParam}.type'.`, `${blockParam}.type`, 'invalid_value');
+    }
+  });
+
+  const messages = [...toolResults];
+  if (parts.length > 0 || toolCalls.length > 0) {
+    messages.push({
+      role: msg.role,
+      content: parts.length > 0 ? parts : null,
+      ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+    });
+  }
+  return messages;
+}
+
+/**
+ * 将Anthropic Messages API的system和messages转换为规范化的消息列表
+ * @param {string|Array} [system] - 字符串或text块数组
+ * @param {Array} messages
+ * @returns {Array} 与normalizeMessages输出格式相同的消息列表
+ */
+function anthropicToMessages(system, messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new InvalidRequestError(
+      Array.isArray(messages) ? "Invalid 'messages': empty array." : "Invalid type for 'messages': expected an array.",
+      'messages',
+      Array.isArray(messages) ? 'empty_array' : 'invalid_type'
+    );
+  }
+
+  const result = [];
+  if (system != null) {
+    if (typeof system !== 'string' && !Array.isArray(system)) {
+      throw new InvalidRequestError("Invalid type for 'system': expected a string or an array of text blocks.", 'system', 'invalid_type');
+    }
+    const text = typeof system === 'string'
+      ? system
+      : system.map(block => (block && block.type === 'text' ? block.text : '')).join('\n');
+    if (text) {
+      result.push({ role: 'system', content: text, images: [] });
+    }
+  }
+
+  messages.forEach((msg, index) => {
+    const param = `messages[${index}]`;
+    for (const message of convertMessage(msg, param)) {
+      result.push(normalizeMessage(message, param));
+    }
+  });
+  return result;
+}
+
+/**
+ * 将Anthropic的工具定义转换为chat格式
+ * @returns {{tools: Array|undefined, toolChoice: *}}
+ */
+function convertAnthropicTools(tools, toolChoice) {
+  if (tools == null) {
+    return { tools: undefined, toolChoice: undefined };
+  }
+  if (!Array.isArray(tools)) {
+    throw new InvalidRequestError("Invalid type for 'tools': expected an array.", 'tools', 'invalid_type');
+  }
+
+  const chatTools = tools.map((tool, index) => {
+    if (!tool || typeof tool.name !== 'string') {
+      throw new InvalidRequestError(`Missing required parameter: 'tools[${index}].name'.`, `tools[${index}].name`, 'missing_required_parameter');
+    }
+    return {
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+    };
+  });
+
+  // auto -> auto, any -> required, tool -> 指定函数, none -> none
+  let chatToolChoice;
+  switch (toolChoice && toolChoice.type) {
+    case 'any':
+      chatToolChoice = 'required';
+      break;
+    case 'tool':
+      chatToolChoice = { type: 'function', function: { name: toolChoice.name } };
+      break;
+    case 'none':
+      chatToolChoice = 'none';
+      break;
+    default:
+      chatToolChoice = 'auto';
+  }
+  return { tools: chatTools, toolChoice: chatToolChoice };
+}
+
+/**
+ * 构建Anthropic格式的message，并在流式请求中同步输出对应的SSE事件
+ * 内容块按上游输出顺序排列：thinking、text、tool_use
+ * 首个事件前自动发送message_start
+ */
+class AnthropicMessageBuilder {
+  /**
+   * @param {import('./sseWriter').AnthropicMessageStream|null} stream - 流式请求的输出器，非流式时为null
+   * @param {Object} options
+   * @param {string} options.model - 返回给客户端的模型名
+   * @param {number} options.inputTokens - 提示词token数
+   */
+  constructor(stream, { model, inputTokens = 0 }) {
+    this.stream = stream;
+    this.started = false;
+    this.current = null; // 正在输出的thinking或text块
+    this.message = {
+      id: generateId('msg'),
+      type: 'message',
+      role: 'assistant',
+      model,
+      content: [],
+      stop_reason: null,
+      stop_sequence: null,
+      usage: {
+        input_tokens: inputTokens,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 0,
+        output_tokens: 0,
+      },
+    };
+  }
+
+  emit(type, data) {
+    if (this.stream) {
+      this.stream.event(type, data);
+    }
+  }
+
+  ensureStarted() {
+    if (!this.started) {
+      this.started = true;
+      this.emit('message_start', { message: this.message });
+    }
+  }
+
+  // 新增一个内容块，流式输出时content_block_start中的块为空内容
+  startBlock(block, initial) {
+    this.ensureStarted();
+    this.closeCurrent();
+    const index = this.message.content.length;
+    this.message.content.push(block);
+    this.emit('content_block_start', { index, content_block: initial });
+    return index;
+  }
+
+  closeCurrent() {
+    if (this.current) {
+      this.emit('content_block_stop', { index: this.current.index });
+      this.current = null;
+    }
+  }
+
+  // 输出思考内容
+  thinking(text) {
+    if (!text) {
+      return;
+    }
+    if (!this.current || this.current.block.type !== 'thinking') {
+      const block = { type: 'thinking', thinking: '', signature: '' };
+      const index = this.startBlock(block, { type: 'thinking', thinking: '', signature: '' });
+      this.current = { block, index };
+    }
+    this.current.block.thinking += text;
+    this.emit('content_block_delta', { index: this.current.index, delta: { type: 'thinking_delta', thinking: text } });
+  }
+
+  // 输出正文
+  text(text) {
+    if (!text) {
+      return;
+    }
+    if (!this.current || this.current.block.type !== 'text') {
+      const block = { type: 'text', text: '' };
+      const index = this.startBlock(block, { type: 'text', text: '' });
+      this.current = { block, index };
+    }
+    this.current.block.text += text;
+    this.emit('content_block_delta', { index: this.current.index, delta: { type: 'text_delta', text } });
+  }
+
+  // 输出一个完整的工具调用（toolCalls.ToolCallParser解析出的chat格式）
+  toolUse(toolCall) {
+    let input;
+    try {
+      input = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (e) {
+      input = {};
+    }
+    const block = { type: 'tool_use', id: toolCall.id.replace(/^call_/, 'toolu_'), name: toolCall.function.name, input };
+    const index = this.startBlock(block, { ...block, input: {} });
+    this.emit('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(input) } });
+    this.emit('content_block_stop', { index });
+  }
+
+  /**
+   * 完成响应
+   * @param {Object} result
+   * @param {string} result.stopReason - end_turn, max_tokens, stop_sequence, tool_use
+   * @param {string|null} [result.stopSequence] - 命中的停止序列
+   * @param {number} result.outputTokens
+   * @returns {Object} message对象
+   */
+  complete({ stopReason, stopSequence = null, outputTokens }) {
+    this.ensureStarted();
+    this.closeCurrent();
+    this.message.stop_reason = stopReason;
+    this.message.stop_sequence = stopSequence;
+    this.message.usage.output_tokens = outputTokens;
+    this.emit('message_delta', {
+      delta: { stop_reason: stopReason, stop_sequence: stopSequence },
+      usage: { output_tokens: outputTokens },
+    });
+    this.emit('message_stop', {});
+    return this.message;
+  }
+}
+
+module.exports = {
+  toAnthropicError,
+  anthropicToMessages,
+  convertAnthropicTools,
+  AnthropicMessageBuilder
+};
@@ -0,0 +1,74 @@
+const { InvalidRequestError } = require('./errors');
+
+// 对话模式对应的上游请求字段
+const CHAT_MODES = {
+  ask: { chatModeEnum: 1, chatMode: 'Ask' },
+  agent: { chatModeEnum: 2, chatMode: 'Agent' },
+  edit: { chatModeEnum: 3, chatMode: 'Edit' },
+};
+
+// 模型名后缀，如 claude-4-sonnet:agent，可与:online同时使用(模式后缀在前)
+const MODE_SUFFIX = /:(ask|agent|edit)$/;
+
+function isChatMode(value) {
+  return Object.prototype.hasOwnProperty.call(CHAT_MODES, value);
+}
+
+/**
+ * 解析对话模式：请求参数chat_mode > 模型名后缀 > API Key设置 > ask
+ * @param {string} model - 请求的模型名
+ * @param {*} requested - 请求参数chat_mode
+ * @param {string} [keyDefault] - API Key设置中的chatMode
+ * @returns {{model: string, mode: 'ask'|'agent'|'edit', explicit: boolean}}
+ *   model为去掉模式后缀后的模型名，explicit表示模式由请求参数或后缀指定
+ */
+function resolveChatMode(model, requested, keyDefault) {
+  let suffixMode = null;
+  const match = typeof model === 'string' ? model.match(MODE_SUFFIX) : null;
+  if (match) {
+    model = model.slice(0, match.index);
+    suffixMode = match[1];
+  }
+
+  if (requested != null && !isChatMode(requested)) {
+    throw new InvalidRequestError(
+      `Invalid value: '${requested}'. Supported values are: ${Object.keys(CHAT_MODES).map(m => `'${m}'`).join(', ')}.`,
+      'chat_mode',
+      'invalid_value'
+    );
+  }
+  return {
+    model,
+    mode: requested ?? suffixMode ?? keyDefault ?? 'ask',
+    explicit: requested != null || suffixMode != null,
+  };
+}
+
+/**
+ * 按模型能力确定实际使用的对话模式，只支持对话的模型(is_chat_only)只能使用ask模式
+ * 请求明确指定了不支持的模式时报错，API Key的默认模式不支持时退回ask
+ * @param {string} modelName - 上游模型名
+ * @param {{mode: string, explicit: boolean}} chatMode - resolveChatMode的返回值
+ * @param {{isChatOnly: boolean}} [modelInfo] - 模型列表中的模型信息，未知模型不做限制
+ * @returns {'ask'|'agent'|'edit'}
+ */
+function resolveSupportedChatMode(modelName, chatMode, modelInfo) {
+  if (chatMode.mode === 'ask' || !(modelInfo && modelInfo.isChatOnly)) {
+    return chatMode.mode;
+  }
+  if (!chatMode.explicit) {
+    return 'ask';
+  }
+  throw new InvalidRequestError(
+    `The model '${modelName}' only supports the 'ask' chat mode, but '${chatMode.mode}' was requested.`,
+    'chat_mode',
+    'unsupported_chat_mode'
+  );
+}
+
+module.exports = {
+  CHAT_MODES,
+  isChatMode,
+  resolveChatMode,
+  resolveSupportedChatMode
+};
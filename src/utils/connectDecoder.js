@@ -0,0 +1,117 @@
+const zlib = require('zlib');
+const $root = require('../proto/message.js');
+
+// Connect协议的帧标志位
+const FLAG_COMPRESSED = 0x01; // 负载经过gzip压缩
+const FLAG_END_STREAM = 0x02; // 流结束帧，负载为JSON
+
+// 帧头长度: 1字节标志 + 4字节大端长度
+const HEADER_LENGTH = 5;
+// 单帧负载上限，防止异常长度导致无限缓冲
+const MAX_FRAME_LENGTH = 64 * 1024 * 1024;
+
+/**
+ * 增量式Connect帧解码器
+ * 网络数据块可能只包含半个帧或多个帧，未完整的部分会缓存到下次push
+ */
+class ConnectFrameDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * 输入一个网络数据块，返回其中已完整的帧
+   * @param {Uint8Array} chunk
+   * @returns {Array<{flags: number, endStream: boolean, data: Buffer}>} data为解压后的负载
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length === 0
+      ? Buffer.from(chunk)
+      : Buffer.concat([this.buffer, chunk]);
+
+    const frames = [];
+    while (this.buffer.length >= HEADER_LENGTH) {
+      const flags = this.buffer[0];
+      const length = this.buffer.readUInt32BE(1);
+      if (length > MAX_FRAME_LENGTH) {
+        throw new Error(`Connect帧长度异常: ${length}`);
+      }
+      if (this.buffer.length < HEADER_LENGTH + length) {
+        break;
+      }
+
+      const payload = this.buffer.subarray(HEADER_LENGTH, HEADER_LENGTH + length);
+      this.buffer = this.buffer.subarray(HEADER_LENGTH + length);
+
+      frames.push({
+        flags,
+        endStream: (flags & FLAG_END_STREAM) !== 0,
+        data: (flags & FLAG_COMPRESSED) !== 0 ? zlib.gunzipSync(payload) : Buffer.from(payload)
+      });
+    }
+    return frames;
+  }
+
+  // 缓冲区中尚未组成完整帧的字节数
+  get pendingBytes() {
+    return this.buffer.length;
+  }
+}
+
+// 解析流结束帧的JSON负载
+function parseEndStream(data) {
+  const raw = data.toString('utf-8');
+  let json = {};
+  if (raw.trim()) {
+    try {
+      json = JSON.parse(raw);
+    } catch (err) {
+      return { type: 'end', error: { message: raw }, raw };
+    }
+  }
+  return {
+    type: 'end',
+    error: json && json.error ? json.error : null,
+    metadata: json && json.metadata ? json.metadata : null,
+    raw
+  };
+}
+
+/**
+ * 将上游StreamUnifiedChatWithTools的响应体解码为消息事件
+ * 产出:
+ *   { type: 'message', thinking, content, webPages, message } - 普通消息帧，webPages为联网搜索到的网页
+ *   { type: 'end', error, metadata, raw }                     - 流结束帧，error非空表示上游报错
+ * @param {AsyncIterable<Uint8Array>} body - fetch响应体
+ */
+async function* decodeCursorStream(body) {
+  const decoder = new ConnectFrameDecoder();
+
+  for await (const chunk of body) {
+    for (const frame of decoder.push(chunk)) {
+      if (frame.endStream) {
+        yield parseEndStream(frame.data);
+        return;
+      }
+
+      const response = $root.StreamUnifiedChatWithToolsResponse.decode(frame.data);
+      const message = response.message || {};
+      yield {
+        type: 'message',
+        thinking: (message.thinking && message.thinking.content) || '',
+        content: message.content || '',
+        webPages: (message.webtool && message.webtool.webPage) || [],
+        message
+      };
+    }
+  }
+
+  if (decoder.pendingBytes > 0) {
+    throw new Error(`上游响应在帧中间结束，剩余 ${decoder.pendingBytes} 字节未解析`);
+  }
+}
+
+module.exports = {
+  ConnectFrameDecoder,
+  decodeCursorStream
+};
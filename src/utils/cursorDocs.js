@@ -0,0 +1,56 @@
+const { InvalidRequestError } = require('./errors');
+
+// 单个请求最多附带的文档链接数量
+const MAX_DOCS = 20;
+
+// 检查是否为http(s)链接
+function isDocUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// 校验API Key设置中的默认文档列表
+function isValidDocList(value) {
+  return Array.isArray(value) && value.length <= MAX_DOCS && value.every(isDocUrl);
+}
+
+/**
+ * 解析请求要附带的文档链接，用于填充上游请求的wikiTool字段
+ * 请求参数cursor_docs优先于API Key的默认文档，传入空数组则不附带任何文档
+ * @param {*} requested - 请求参数cursor_docs
+ * @param {string[]} [defaults] - API Key设置中的cursorDocs
+ * @returns {string[]} 去重后的文档链接
+ */
+function resolveCursorDocs(requested, defaults = []) {
+  if (requested == null) {
+    return defaults;
+  }
+  if (!Array.isArray(requested)) {
+    throw new InvalidRequestError("Invalid type for 'cursor_docs': expected an array of strings.", 'cursor_docs', 'invalid_type');
+  }
+  if (requested.length > MAX_DOCS) {
+    throw new InvalidRequestError(
+      `Invalid 'cursor_docs': array too long. Expected an array with maximum length ${MAX_DOCS}, but got an array with length ${requested.length} instead.`,
+      'cursor_docs',
+      'array_above_max_length'
+    );
+  }
+  requested.forEach((url, index) => {
+    if (!isDocUrl(url)) {
+      throw new InvalidRequestError(`Invalid value for 'cursor_docs[${index}]': expected an http or https URL.`, `cursor_docs[${index}]`, 'invalid_value');
+    }
+  });
+  return [...new Set(requested)];
+}
+
+module.exports = {
+  isValidDocList,
+  resolveCursorDocs
+};
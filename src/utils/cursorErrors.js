@@ -0,0 +1,306 @@
+const { ApiError } = require('./errors');
+
+/**
+ * 上游错误分类表
+ * 按顺序匹配：先匹配debugCodes（上游ErrorDetails中的错误码），再匹配patterns（错误文本）
+ * - status/type: 返回给客户端的HTTP状态码和OpenAI错误类型
+ * - removeCookie: 是否将当前Cookie从API Key中移除并标记为无效
+ * - retryable: 换一个Cookie重试是否可能成功
+ * - message: 提示给用户的说明
+ */
+const ERROR_CLASSES = [
+  {
+    name: 'not_logged_in',
+    debugCodes: ['ERROR_NOT_LOGGED_IN', 'ERROR_AUTH_TOKEN_NOT_FOUND'],
+    patterns: [/Not logged in/i],
+    status: 401,
+    type: 'authentication_error',
+    removeCookie: true,
+    retryable: true,
+    message: 'Cookie无效或已过期，请更新Cookie。'
+  },
+  {
+    name: 'login_expired',
+    debugCodes: ['ERROR_AUTH_TOKEN_EXPIRED'],
+    patterns: [/login expired/i],
+    status: 401,
+    type: 'authentication_error',
+    removeCookie: true,
+    retryable: true,
+    message: 'Cookie登录已过期，请更新Cookie。'
+  },
+  {
+    name: 'unauthorized',
+    debugCodes: ['ERROR_UNAUTHORIZED'],
+    patterns: [/User is unauthorized/i],
+    status: 403,
+    type: 'permission_error',
+    removeCookie: true,
+    retryable: true,
+    message: 'Cookie已被封禁或失效，请更换Cookie。'
+  },
+  {
+    name: 'quota_exhausted',
+    debugCodes: ['ERROR_FREE_USER_USAGE_LIMIT', 'ERROR_PRO_USER_USAGE_LIMIT'],
+    patterns: [/You've reached your trial request limit/i, /You've reached the usage limit for free usage/i],
+    status: 429,
+    type: 'insufficient_quota',
+    removeCookie: true,
+    retryable: true,
+    message: 'Cookie使用额度已用完，请更换Cookie或等待刷新。'
+  },
+  {
+    name: 'too_many_computers',
+    debugCodes: [],
+    patterns: [/Too many computers/i],
+    status: 403,
+    type: 'permission_error',
+    removeCookie: true,
+    retryable: true,
+    message: '账户因在多台设备登录而暂时被封禁，请稍后再试或更换账户。'
+  },
+  {
+    name: 'temporary_email',
+    debugCodes: [],
+    patterns: [/blocked due to the use of a temporary email service/i],
+    status: 403,
+    type: 'permission_error',
+    removeCookie: true,
+    retryable: true,
+    message: '请求被阻止，检测到临时邮箱服务，请更换邮箱。'
+  },
+  {
+    name: 'suspicious_account',
+    debugCodes: [],
+    patterns: [/detected suspicious activity from your account/i],
+    status: 403,
+    type: 'permission_error',
+    removeCookie: false,
+    retryable: true,
+    message: '请求被阻止，可能是假ban，多重试几次/更换cookie/更换设备。'
+  },
+  {
+    name: 'ip_blocked',
+    debugCodes: [],
+    patterns: [/suspicious activity checks/i],
+    status: 403,
+    type: 'permission_error',
+    removeCookie: false,
+    retryable: false,
+    message: 'IP可能被列入黑名单，请尝试更换网络环境或使用代理。'
+  },
+  {
+    name: 'rate_limited',
+    // 免费用户的频率限制只是短时间内请求过多，额度并未用完，不移除Cookie
+    debugCodes: ['ERROR_RATE_LIMITED', 'ERROR_RATE_LIMITED_CHANGEABLE', 'ERROR_FREE_USER_RATE_LIMIT_EXCEEDED'],
+    patterns: [/rate limit/i, /too many requests/i],
+    status: 429,
+    type: 'rate_limit_error',
+    removeCookie: false,
+    retryable: true,
+    message: '请求过于频繁，请稍后重试。'
+  },
+  {
+    name: 'model_unavailable',
+    debugCodes: ['ERROR_BAD_MODEL_NAME', 'ERROR_MODEL_NOT_AVAILABLE'],
+    patterns: [/model .*not (found|available|supported)/i],
+    status: 404,
+    type: 'invalid_request_error',
+    removeCookie: false,
+    retryable: false,
+    message: '模型不存在或当前账户不可用。'
+  }
+];
+
+// 未匹配分类表时，按Connect错误码确定HTTP状态码和错误类型
+const CONNECT_CODE_MAP = {
+  canceled: { status: 499, type: 'api_error', retryable: false },
+  unknown: { status: 502, type: 'api_error', retryable: true },
+  invalid_argument: { status: 400, type: 'invalid_request_error', retryable: false },
+  deadline_exceeded: { status: 504, type: 'timeout_error', retryable: true },
+  not_found: { status: 404, type: 'invalid_request_error', retryable: false },
+  already_exists: { status: 409, type: 'invalid_request_error', retryable: false },
+  permission_denied: { status: 403, type: 'permission_error', retryable: true },
+  resource_exhausted: { status: 429, type: 'rate_limit_error', retryable: true },
+  failed_precondition: { status: 400, type: 'invalid_request_error', retryable: false },
+  aborted: { status: 409, type: 'api_error', retryable: true },
+  out_of_range: { status: 400, type: 'invalid_request_error', retryable: false },
+  unimplemented: { status: 501, type: 'api_error', retryable: false },
+  internal: { status: 502, type: 'api_error', retryable: true },
+  unavailable: { status: 503, type: 'api_error', retryable: true },
+  data_loss: { status: 502, type: 'api_error', retryable: false },
+  unauthenticated: { status: 401, type: 'authentication_error', retryable: true }
+};
+
+/**
+ * 上游（Cursor）返回的错误
+ * category对应ERROR_CLASSES中的name，未匹配时为连接错误码或upstream_error
+ */
+class CursorError extends ApiError {
+  constructor({ message, category, connectCode, debugCode, details, status, type, retryable, removeCookie, hint, raw }) {
+    super(message, { status, type, code: category });
+    this.name = 'CursorError';
+    this.category = category;
+    this.connectCode = connectCode || null;
+    this.debugCode = debugCode || null;
+    this.details = details || [];
+    this.retryable = Boolean(retryable);
+    this.removeCookie = Boolean(removeCookie);
+    this.hint = hint || '';
+    this.raw = raw || '';
+  }
+}
+
+// 提取ErrorDetails中的调试错误码和详细说明
+function extractDebugInfo(details) {
+  for (const detail of details) {
+    const debug = detail && detail.debug;
+    if (debug && (debug.error || debug.details)) {
+      const info = debug.details || {};
+      return {
+        debugCode: debug.error || null,
+        title: info.title || '',
+        detail: info.detail || '',
+        isRetryable: info.isRetryable
+      };
+    }
+  }
+  return { debugCode: null, title: '', detail: '' };
+}
+
+// 在分类表中查找匹配的错误分类
+function classify(debugCode, text) {
+  if (debugCode) {
+    const byCode = ERROR_CLASSES.find(cls => cls.debugCodes.includes(debugCode));
+    if (byCode) {
+      return byCode;
+    }
+  }
+  return ERROR_CLASSES.find(cls => cls.patterns.some(pattern => pattern.test(text))) || null;
+}
+
+/**
+ * 将Connect错误JSON解析为CursorError
+ * @param {Object} error - 流结束帧或HTTP响应中的 error 对象: { code, message, details }
+ * @param {string} [raw] - 原始文本，用于日志和提示
+ * @param {number} [httpStatus] - 上游HTTP状态码（非Connect流错误时）
+ * @returns {CursorError}
+ */
+function parseCursorError(error, raw = '', httpStatus = null) {
+  const err = error && typeof error === 'object' ? error : { message: String(error || '') };
+  const details = Array.isArray(err.details) ? err.details : [];
+  const debug = extractDebugInfo(details);
+  const connectCode = typeof err.code === 'string' ? err.code : null;
+  const text = [err.message, debug.title, debug.detail, raw].filter(Boolean).join('\n');
+  const cls = classify(debug.debugCode, text);
+  const message = debug.detail || debug.title || err.message || raw || 'Upstream request failed';
+
+  if (cls) {
+    return new CursorError({
+      message,
+      category: cls.name,
+      connectCode,
+      debugCode: debug.debugCode,
+      details,
+      status: cls.status,
+      type: cls.type,
+      retryable: cls.retryable,
+      removeCookie: cls.removeCookie,
+      hint: cls.message,
+      raw
+    });
+  }
+
+  const mapped = CONNECT_CODE_MAP[connectCode]
+    || (httpStatus && httpStatus < 500 ? { status: httpStatus, type: 'api_error', retryable: false } : null)
+    || { status: 502, type: 'api_error', retryable: true };
+  return new CursorError({
+    message,
+    category: connectCode || 'upstream_error',
+    connectCode,
+    debugCode: debug.debugCode,
+    details,
+    status: mapped.status,
+    type: mapped.type,
+    retryable: debug.isRetryable !== undefined ? Boolean(debug.isRetryable) : mapped.retryable,
+    removeCookie: false,
+    hint: '请求失败。',
+    raw
+  });
+}
+
+/**
+ * 将非200的上游HTTP响应解析为CursorError
+ * @param {number} status - HTTP状态码
+ * @param {string} text - 响应体
+ * @returns {CursorError}
+ */
+function parseHttpError(status, text) {
+  let error = { message: text || `HTTP ${status}` };
+  try {
+    const json = JSON.parse(text);
+    error = json.error || json;
+  } catch (e) {
+    // 非JSON响应，直接使用文本
+  }
+  return parseCursorError(error, text, status);
+}
+
+/**
+ * 将请求上游时的网络错误（连接失败、连接超时等）转换为CursorError
+ * @param {Error} fetchError - fetch抛出的错误
+ * @returns {CursorError}
+ */
+function parseFetchError(fetchError) {
+  const isConnectTimeout = Boolean(fetchError.cause &&
+    (fetchError.cause.code === 'UND_ERR_CONNECT_TIMEOUT' || fetchError.message.includes('Connect Timeout Error')));
+  return new CursorError({
+    message: isConnectTimeout ? 'Timed out connecting to the upstream API server' : `Upstream request failed: ${fetchError.message}`,
+    category: 'upstream_connection_error',
+    status: isConnectTimeout ? 504 : 502,
+    type: isConnectTimeout ? 'timeout_error' : 'api_error',
+    retryable: true,
+    removeCookie: false,
+    hint: isConnectTimeout
+      ? '连接超时，无法连接到API服务器(api2.cursor.sh)，请检查您的网络连接或尝试使用代理。'
+      : '请求API服务器失败，请稍后重试。',
+    raw: fetchError.message
+  });
+}
+
+// 各阶段超时的说明，connect和firstByte超时时尚未输出内容，可以换Cookie重试
+const TIMEOUT_PHASES = {
+  connect: { message: 'Timed out waiting for the upstream response', hint: '连接超时，上游服务器在规定时间内没有响应。', retryable: true },
+  firstByte: { message: 'Timed out waiting for the first output from upstream', hint: '首字超时，上游在规定时间内没有开始输出。', retryable: true },
+  idle: { message: 'Upstream stopped sending data', hint: '输出中断，上游长时间没有新的输出。', retryable: false },
+  total: { message: 'Request exceeded the maximum duration', hint: '请求总时长超过限制。', retryable: false }
+};
+
+/**
+ * 生成上游请求超时错误
+ * @param {string} phase - 超时阶段: connect, firstByte, idle, total
+ * @param {number} ms - 该阶段的超时时间(毫秒)
+ * @returns {CursorError}
+ */
+function timeoutError(phase, ms) {
+  const info = TIMEOUT_PHASES[phase];
+  return new CursorError({
+    message: `${info.message} (${phase} timeout: ${ms}ms)`,
+    category: `${phase.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)}_timeout`,
+    status: 504,
+    type: 'timeout_error',
+    retryable: info.retryable,
+    removeCookie: false,
+    hint: info.hint,
+    raw: `${phase} timeout after ${ms}ms`
+  });
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  CursorError,
+  parseCursorError,
+  parseHttpError,
+  parseFetchError,
+  timeoutError
+};
@@ -0,0 +1,169 @@
+const { fetch } = require('undici');
+const { v4: uuidv4 } = require('uuid');
+const $root = require('../proto/message.js');
+const keyManager = require('./keyManager');
+const { generateCursorChecksum } = require('./utils');
+const { extractAuthToken } = require('./cursorChat');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// 模型列表缓存，所有API Key共用
+const registry = {
+  models: null, // 最近一次成功获取的模型列表
+  fetchedAt: 0, // 获取时间(毫秒)
+  refreshing: null, // 正在进行的刷新请求，避免并发重复请求
+  timer: null, // 后台定时刷新
+};
+
+/**
+ * 选择用于请求模型列表的Cookie：优先使用该API Key下的Cookie，其次使用任一API Key下的Cookie
+ * 未在系统中配置的API Key按Cookie本身使用(向后兼容)
+ * @param {string} [apiKey]
+ * @returns {string|null}
+ */
+function selectModelsCookie(apiKey) {
+  if (apiKey && keyManager.getAllCookiesForApiKey(apiKey).length > 0) {
+    return keyManager.getCookieForApiKey(apiKey);
+  }
+  for (const key of keyManager.getAllApiKeys()) {
+    const cookies = keyManager.getAllCookiesForApiKey(key);
+    if (cookies.length > 0) {
+      return cookies[0];
+    }
+  }
+  if (apiKey && !keyManager.getAllApiKeys().includes(apiKey)) {
+    return apiKey;
+  }
+  return null;
+}
+
+/**
+ * 从上游获取可用模型列表
+ * @param {string} cookie - 用于请求的Cookie
+ * @param {string} [checksum] - 客户端指定的x-cursor-checksum
+ * @returns {Promise<Array<{name: string, defaultOn: boolean, isLongContextOnly?: boolean, isChatOnly?: boolean}>>}
+ */
+async function fetchAvailableModels(cookie, checksum) {
+  const authToken = extractAuthToken(cookie);
+
+  checksum = checksum
+    ?? process.env['x-cursor-checksum']
+    ?? generateCursorChecksum(authToken.trim());
+  //const cursorClientVersion = "0.45.11"
+  const cursorClientVersion = "0.50.4";
+
+  const availableModelsResponse = await fetch("https://api2.cursor.sh/aiserver.v1.AiService/AvailableModels", {
+    method: 'POST',
+    headers: {
+      'accept-encoding': 'gzip',
+      'authorization': `Bearer ${authToken}`,
+      'connect-protocol-version': '1',
+      'content-type': 'application/proto',
+      'user-agent': 'connect-es/1.6.1',
+      'x-cursor-checksum': checksum,
+      'x-cursor-client-version': cursorClientVersion,
+      'x-cursor-config-version': uuidv4(),
+      'x-cursor-timezone': 'Asia/Tokyo',
+      'x-ghost-mode': 'true',
+      'Host': 'api2.cursor.sh',
+    },
+    signal: config.timeouts.connect > 0 ? AbortSignal.timeout(config.timeouts.connect) : undefined,
+  })
+  const data = await availableModelsResponse.arrayBuffer();
+  const buffer = Buffer.from(data);
+  if (!availableModelsResponse.ok) {
+    throw new Error(`HTTP ${availableModelsResponse.status}: ${buffer.toString('utf-8')}`);
+  }
+  let models;
+  try {
+    models = $root.AvailableModelsResponse.decode(buffer).models;
+  } catch (error) {
+    // 解析失败时上游返回的通常是错误信息
+    throw new Error(buffer.toString('utf-8'));
+  }
+  if (models.length === 0) {
+    throw new Error('上游返回的模型列表为空');
+  }
+  return models;
+}
+
+/**
+ * 刷新模型列表缓存，并发调用时共用同一个请求
+ * @param {string} [apiKey] - 用于选择Cookie的API Key
+ * @param {string} [checksum]
+ * @returns {Promise<Array>} 新的模型列表
+ */
+function refreshModels(apiKey, checksum) {
+  if (!registry.refreshing) {
+    registry.refreshing = (async () => {
+      const cookie = selectModelsCookie(apiKey);
+      if (!cookie) {
+        throw new Error('没有可用于获取模型列表的Cookie');
+      }
+      const models = await fetchAvailableModels(cookie, checksum);
+      registry.models = models.map(model => ({
+        name: model.name,
+        defaultOn: model.defaultOn,
+        isLongContextOnly: model.isLongContextOnly ?? false,
+        isChatOnly: model.isChatOnly ?? false,
+      }));
+      registry.fetchedAt = Date.now();
+      logger.info(`模型列表已刷新，共 ${registry.models.length} 个模型`);
+      return registry.models;
+    })().finally(() => {
+      registry.refreshing = null;
+    });
+  }
+  return registry.refreshing;
+}
+
+/**
+ * 获取模型列表，优先使用缓存
+ * - 缓存未过期时直接返回
+ * - 缓存已过期时返回缓存并在后台刷新
+ * - 没有缓存时请求上游
+ * @param {string} [apiKey] - 用于选择Cookie的API Key
+ * @param {string} [checksum]
+ * @returns {Promise<{models: Array<{name: string, defaultOn: boolean, isLongContextOnly: boolean, isChatOnly: boolean}>, fetchedAt: number}>}
+ * @throws {Error} 从未成功获取过模型列表且上游请求失败时抛出
+ */
+async function getAvailableModels(apiKey, checksum) {
+  if (!registry.models) {
+    await refreshModels(apiKey, checksum);
+  } else if (Date.now() - registry.fetchedAt > config.models.cacheTtl) {
+    // 上游不可用时继续使用最近一次的模型列表
+    refreshModels(apiKey, checksum).catch(error => {
+      logger.warn(`刷新模型列表失败，继续使用 ${new Date(registry.fetchedAt).toISOString()} 获取的列表: ${error.message}`);
+    });
+  }
+  return { models: registry.models, fetchedAt: registry.fetchedAt };
+}
+
+/**
+ * 从缓存的模型列表中查找模型，不请求上游
+ * @param {string} name
+ * @returns {{name: string, defaultOn: boolean, isLongContextOnly: boolean, isChatOnly: boolean}|undefined} 未缓存或不在列表中时返回undefined
+ */
+function getCachedModel(name) {
+  return registry.models ? registry.models.find(model => model.name === name) : undefined;
+}
+
+// 启动后台定时刷新，间隔为缓存有效期
+function startModelRefresh() {
+  if (registry.timer || !(config.models.cacheTtl > 0)) {
+    return;
+  }
+  const refresh = () => refreshModels().catch(error => {
+    logger.warn(`后台刷新模型列表失败: ${error.message}`);
+  });
+  refresh();
+  registry.timer = setInterval(refresh, config.models.cacheTtl);
+  registry.timer.unref();
+}
+
+module.exports = {
+  fetchAvailableModels,
+  getAvailableModels,
+  getCachedModel,
+  startModelRefresh
+};
@@ -0,0 +1,63 @@
+/**
+ * OpenAI风格的API错误
+ * 路由层通过status和toJSON()直接返回给客户端
+ */
+class ApiError extends Error {
+  constructor(message, { status = 500, type = 'api_error', code = null, param = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.param = param;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        message: this.message,
+        type: this.type,
+        param: this.param,
+        code: this.code
+      }
+    };
+  }
+}
+
+// 请求参数错误，对应HTTP 400
+class InvalidRequestError extends ApiError {
+  constructor(message, param = null, code = null) {
+    super(message, { status: 400, type: 'invalid_request_error', param, code });
+    this.name = 'InvalidRequestError';
+  }
+}
+
+// 客户端断开连接导致请求被取消，此时无需再向客户端返回任何内容
+class ClientAbortError extends Error {
+  constructor(message = 'Client disconnected') {
+    super(message);
+    this.name = 'ClientAbortError';
+  }
+}
+
+/**
+ * 将任意错误转换为ApiError
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error && error.name === 'TimeoutError') {
+    return new ApiError('Upstream request timed out', { status: 504, type: 'timeout_error', code: 'timeout' });
+  }
+  return new ApiError((error && error.message) || 'Internal server error', { status: 500, type: 'server_error', code: 'internal_error' });
+}
+
+module.exports = {
+  ApiError,
+  InvalidRequestError,
+  ClientAbortError,
+  toApiError
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { InvalidRequestError } = require('./errors');
+const { normalizeMessage } = require('./messageNormalizer');
+const { generateToolCallId } = require('./toolCalls');
+
+// HTTP状态码对应的Google API错误状态
+const GEMINI_ERROR_STATUS = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  502: 'UNAVAILABLE',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED',
+};
+
+/**
+ * 将ApiError转换为Gemini格式的错误响应体
+ * @param {import('./errors').ApiError} apiError
+ * @returns {{error: {code: number, message: string, status: string}}}
+ */
+function toGeminiError(apiError) {
+  return {
+    error: {
+      code: apiError.status,
+      message: apiError.message,
+      status: GEMINI_ERROR_STATUS[apiError.status] || 'INTERNAL',
+    },
+  };
+}
+
+// 将parts中的文本合并，用于systemInstruction和functionResponse
+function partsToText(parts) {
+  return (parts || [])
+    .filter(part => part && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * 将Gemini的systemInstruction和contents转换为规范化的消息列表
+ * functionCall按出现顺序分配调用id，functionResponse按函数名关联最近一次未响应的调用
+ * @param {Object|string} [systemInstruction] - Content对象或字符串
+ * @param {Array} contents
+ * @returns {Array} 与normalizeMessages输出格式相同的消息列表
+ */
+function geminiToMessages(systemInstruction, contents) {
+  if (!Array.isArray(contents) || contents.length === 0) {
+    throw new InvalidRequestError('* GenerateContentRequest.contents: contents is not specified', 'contents', 'missing_required_parameter');
+  }
+
+  const result = [];
+  if (systemInstruction != null) {
+    const text = typeof systemInstruction === 'string' ? systemInstruction : partsToText(systemInstruction.parts);
+    if (text) {
+      result.push({ role: 'system', content: text, images: [] });
+    }
+  }
+
+  const pendingCalls = new Map(); // 函数名 -> 未响应的调用id列表
+  contents.forEach((content, index) => {
+    const param = `contents[${index}]`;
+    if (!content || !Array.isArray(content.parts)) {
+      throw new InvalidRequestError(`* GenerateContentRequest.${param}.parts: contents.parts must not be empty`, `${param}.parts`, 'invalid_value');
+    }
+    const role = content.role === 'model' ? 'assistant' : 'user';
+
+    const parts = [];
+    const toolCalls = [];
+    const toolResults = [];
+    content.parts.forEach((part, partIndex) => {
+      const partParam = `${param}.parts[${partIndex}]`;
+      if (!part || typeof part !== 'object') {
+        throw new InvalidRequestError(`* GenerateContentRequest.${partParam}: expected an object`, partParam, 'invalid_type');
+      }
+      if (part.thought) {
+        // 历史思考内容不发送给上游
+        return;
+      }
+      if (typeof part.text === 'string') {
+        parts.push({ type: 'text', text: part.text });
+      } else if (part.inlineData) {
+        const { mimeType, data } = part.inlineData;
+        parts.push({ type: 'image_url', image_url: { url: `data:${mimeType || 'image/png'};base64,${data}` } });
+      } else if (part.functionCall) {
+        const id = part.functionCall.id || generateToolCallId();
+        const ids = pendingCalls.get(part.functionCall.name) || [];
+        pendingCalls.set(part.functionCall.name, [...ids, id]);
+        toolCalls.push({
+          id,
+          type: 'function',
+          function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args ?? {}) },
+        });
+      } else if (part.functionResponse) {
+        const { id, name, response } = part.functionResponse;
+        const ids = pendingCalls.get(name) || [];
+        const callId = id || ids.shift() || generateToolCallId();
+        toolResults.push({ role: 'tool', tool_call_id: callId, name, content: JSON.stringify(response ?? {}) });
+      } else {
+        throw new InvalidRequestError(`* GenerateContentRequest.${partParam}: unsupported part, only text, inlineData, functionCall and functionResponse are supported`, partParam, 'invalid_value');
+      }
+    });
+
+    const messages = [...toolResults];
+    if (parts.length > 0 || toolCalls.length > 0) {
+      messages.push({
+        role,
+        content: parts.length > 0 ? parts : null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      });
+    }
+    for (const message of messages) {
+      result.push(normalizeMessage(message, param));
+    }
+  });
+  return result;
+}
+
+/**
+ * 将Gemini的functionDeclarations和toolConfig转换为chat格式
+ * @returns {{tools: Array|undefined, toolChoice: *}}
+ */
+function convertGeminiTools(tools, toolConfig) {
+  const declarations = (Array.isArray(tools) ? tools : [])
+    .flatMap(tool => (tool && Array.isArray(tool.functionDeclarations) ? tool.functionDeclarations : []));
+  if (declarations.length === 0) {
+    return { tools: undefined, toolChoice: undefined };
+  }
+
+  const chatTools = declarations.map(declaration => ({
+    type: 'function',
+    function: {
+      name: declaration.name,
+      description: declaration.description,
+      parameters: declaration.parameters || declaration.parametersJsonSchema,
+    },
+  }));
+
+  // AUTO -> auto, ANY -> required（只允许一个函数时指定该函数）, NONE -> none
+  const { mode, allowedFunctionNames } = (toolConfig && toolConfig.functionCallingConfig) || {};
+  let toolChoice = 'auto';
+  if (mode === 'NONE') {
+    toolChoice = 'none';
+  } else if (mode === 'ANY') {
+    toolChoice = Array.isArray(allowedFunctionNames) && allowedFunctionNames.length === 1
+      ? { type: 'function', function: { name: allowedFunctionNames[0] } }
+      : 'required';
+  }
+  return { tools: chatTools, toolChoice };
+}
+
+/**
+ * 构建Gemini格式的GenerateContentResponse
+ * 流式请求中每段输出作为一个响应块发送，最后一个响应块带有finishReason和usageMetadata
+ */
+class GeminiResponseBuilder {
+  /**
+   * @param {import('./sseWriter').GeminiStream|null} stream - 流式请求的输出器，非流式时为null
+   * @param {Object} options
+   * @param {string} options.model - 返回给客户端的模型名
+   */
+  constructor(stream, { model }) {
+    this.stream = stream;
+    this.model = model;
+    this.responseId = crypto.randomBytes(12).toString('base64url');
+    this.parts = []; // 非流式响应的完整parts，相邻的同类文本会合并
+  }
+
+  buildResponse(parts, extra = {}, usageMetadata) {
+    return {
+      candidates: [
+        {
+          content: { role: 'model', parts },
+          index: 0,
+          ...extra,
+        },
+      ],
+      ...(usageMetadata ? { usageMetadata } : {}),
+      modelVersion: this.model,
+      responseId: this.responseId,
+    };
+  }
+
+  addPart(part) {
+    const last = this.parts[this.parts.length - 1];
+    if (last && typeof part.text === 'string' && typeof last.text === 'string' && Boolean(last.thought) === Boolean(part.thought)) {
+      last.text += part.text;
+    } else {
+      this.parts.push({ ...part });
+    }
+    if (this.stream) {
+      this.stream.writeData(this.buildResponse([part]));
+    }
+  }
+
+  // 输出思考内容，以thought part返回
+  thought(text) {
+    if (text) {
+      this.addPart({ text, thought: true });
+    }
+  }
+
+  // 输出正文
+  text(text) {
+    if (text) {
+      this.addPart({ text });
+    }
+  }
+
+  // 输出一个完整的工具调用（toolCalls.ToolCallParser解析出的chat格式）
+  functionCall(toolCall) {
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (e) {
+      args = {};
+    }
+    this.addPart({ functionCall: { id: toolCall.id, name: toolCall.function.name, args } });
+  }
+
+  /**
+   * 完成响应
+   * @param {string} finishReason - STOP, MAX_TOKENS
+   * @param {Object} usage - chat格式的usage
+   * @returns {Object} 完整的GenerateContentResponse
+   */
+  complete(finishReason, usage) {
+    const reasoningTokens = usage.completion_tokens_details.reasoning_tokens;
+    const usageMetadata = {
+      promptTokenCount: usage.prompt_tokens,
+      candidatesTokenCount: usage.completion_tokens - reasoningTokens,
+      totalTokenCount: usage.total_tokens,
+      ...(reasoningTokens > 0 ? { thoughtsTokenCount: reasoningTokens } : {}),
+    };
+    if (this.stream) {
+      this.stream.writeData(this.buildResponse([{ text: '' }], { finishReason }, usageMetadata));
+    }
+    return this.buildResponse(this.parts, { finishReason }, usageMetadata);
+  }
+}
+
+module.exports = {
+  toGeminiError,
+  geminiToMessages,
+  convertGeminiTools,
+  GeminiResponseBuilder
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const config = require('../config/config');
+
+// 图片输入错误，路由层据此返回400
+class ImageInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageInputError';
+  }
+}
+
+// 读取PNG尺寸
+function getPngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// 读取GIF尺寸
+function getGifSize(buffer) {
+  if (buffer.length < 10) {
+    return null;
+  }
+  return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+// 读取JPEG尺寸，遍历各段直到遇到SOF标记
+function getJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    // 填充字节和无长度的标记
+    if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset++;
+      continue;
+    }
+    const segmentLength = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15，排除DHT(C4)、JPG(C8)、DAC(CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { type: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + segmentLength;
+  }
+  return null;
+}
+
+// 读取WebP尺寸，支持VP8、VP8L和VP8X
+function getWebpSize(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { type: 'webp', width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { type: 'webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { type: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// 读取BMP尺寸
+function getBmpSize(buffer) {
+  if (buffer.length < 26) {
+    return null;
+  }
+  return { type: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+}
+
+/**
+ * 根据文件头识别图片格式并读取尺寸
+ * @param {Buffer} buffer - 图片数据
+ * @returns {{type: string, width: number, height: number}|null} 无法识别时返回null
+ */
+function getImageSize(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+  if (buffer.readUInt32BE(0) === 0x89504E47) {
+    return getPngSize(buffer);
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return getJpegSize(buffer);
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return getGifSize(buffer);
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return getWebpSize(buffer);
+  }
+  if (buffer.toString('ascii', 0, 2) === 'BM') {
+    return getBmpSize(buffer);
+  }
+  return null;
+}
+
+// 解析base64 data URL
+function decodeDataUrl(url) {
+  const match = url.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+  if (!match || !match[2]) {
+    throw new ImageInputError('仅支持base64编码的图片data URL');
+  }
+  return Buffer.from(match[3], 'base64');
+}
+
+// 读取本地图片，只允许访问IMAGE_LOCAL_DIR目录下的文件
+function readLocalImage(ref) {
+  const localDir = config.image.localDir;
+  if (!localDir) {
+    throw new ImageInputError('未启用本地图片读取，请设置IMAGE_LOCAL_DIR');
+  }
+
+  const baseDir = path.resolve(localDir);
+  const filePath = ref.startsWith('file://')
+    ? fileURLToPath(ref)
+    : path.resolve(baseDir, ref);
+
+  if (filePath !== baseDir && !filePath.startsWith(baseDir + path.sep)) {
+    throw new ImageInputError(`图片路径不在允许的目录内: ${ref}`);
+  }
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new ImageInputError(`图片文件不存在: ${ref}`);
+  }
+  return fs.readFileSync(filePath);
+}
+
+/**
+ * 加载OpenAI image_url中引用的图片
+ * 支持base64 data URL和本地文件引用（file:// 或 IMAGE_LOCAL_DIR 下的相对路径）
+ * @param {string|Object} imageUrl - image_url字段，字符串或 {url} 对象
+ * @returns {{data: Buffer, width: number, height: number, type: string}}
+ */
+function loadImage(imageUrl) {
+  const url = typeof imageUrl === 'string' ? imageUrl : imageUrl && imageUrl.url;
+  if (!url || typeof url !== 'string') {
+    throw new ImageInputError('image_url缺少url');
+  }
+
+  let data;
+  if (url.startsWith('data:')) {
+    data = decodeDataUrl(url);
+  } else if (/^https?:\/\//i.test(url)) {
+    throw new ImageInputError('暂不支持远程图片URL，请使用base64 data URL');
+  } else {
+    data = readLocalImage(url);
+  }
+
+  if (data.length > config.image.maxSize) {
+    throw new ImageInputError(`图片大小超过限制(${Math.round(config.image.maxSize / 1024 / 1024)}MB)`);
+  }
+
+  const size = getImageSize(data);
+  if (!size) {
+    throw new ImageInputError('无法识别的图片格式，支持png、jpeg、gif、webp和bmp');
+  }
+
+  return { data, ...size };
+}
+
+module.exports = {
+  ImageInputError,
+  getImageSize,
+  loadImage
+};
@@ -7,6 +7,8 @@ const logger = require('./logger');
 const INVALID_COOKIES_FILE = path.join(__dirname, '../../data/invalid_cookies.json');
 // 定义API Keys的存储文件路径
 const API_KEYS_FILE = path.join(__dirname, '../../data/api_keys.json');
+// 定义API Key设置的存储文件路径
+const API_KEY_SETTINGS_FILE = path.join(__dirname, '../../data/api_key_settings.json');
 
 // 确保data目录存在
 function ensureDataDirExists() {
@@ -30,6 +32,9 @@ let rotationIndexes = new Map();
 // 存储被标记为无效的cookie
 let invalidCookies = new Set();
 
+// 存储每个API key的个性化设置
+let apiKeySettings = new Map();
+
 // 从文件加载无效cookie
 function loadInvalidCookiesFromFile() {
   ensureDataDirExists();
@@ -135,6 +140,42 @@ function saveApiKeysToFile() {
   }
 }
 
+// 从文件加载API Key设置
+function loadApiKeySettingsFromFile() {
+  ensureDataDirExists();
+
+  try {
+    apiKeySettings.clear();
+    if (fs.existsSync(API_KEY_SETTINGS_FILE)) {
+      const data = fs.readFileSync(API_KEY_SETTINGS_FILE, 'utf8');
+      const settingsObj = JSON.parse(data);
+
+      for (const [apiKey, settings] of Object.entries(settingsObj)) {
+        if (settings && typeof settings === 'object') {
+          apiKeySettings.set(apiKey, settings);
+        }
+      }
+
+      logger.info(`从文件加载了 ${apiKeySettings.size} 个API Key的设置`);
+    }
+  } catch (err) {
+    logger.error('加载API Key设置文件失败:', err);
+  }
+}
+
+// 将API Key设置保存到文件
+function saveApiKeySettingsToFile() {
+  ensureDataDirExists();
+
+  try {
+    const settingsObj = Object.fromEntries(apiKeySettings.entries());
+    fs.writeFileSync(API_KEY_SETTINGS_FILE, JSON.stringify(settingsObj, null, 2), 'utf8');
+    logger.info(`已将 ${apiKeySettings.size} 个API Key的设置保存到文件`);
+  } catch (err) {
+    logger.error('保存API Key设置文件失败:', err);
+  }
+}
+
 // API Keys初始化函数
 function initializeApiKeys() {
     // 首先从文件加载现有的API Keys
@@ -205,6 +246,9 @@ function initializeApiKeys() {
     
     logger.info(`API Keys初始化完成，共有 ${apiKeyMap.size} 个API Key，${totalCookies} 个Cookie`);
     
+    // 加载API Key设置
+    loadApiKeySettingsFromFile();
+    
     // 加载无效cookie
     loadInvalidCookiesFromFile();
     
@@ -270,6 +314,35 @@ function removeApiKey(apiKey) {
     
     // 保存更新后的API Keys
     saveApiKeysToFile();
+    
+    // 同时删除该API Key的设置
+    if (apiKeySettings.delete(apiKey)) {
+        saveApiKeySettingsToFile();
+    }
+}
+
+// 获取API key的设置，未配置时返回空对象
+function getApiKeySettings(apiKey) {
+    return { ...(apiKeySettings.get(apiKey) || {}) };
+}
+
+// 更新API key的设置，值为null或空字符串的项会被删除
+function updateApiKeySettings(apiKey, settings) {
+    const merged = { ...(apiKeySettings.get(apiKey) || {}), ...settings };
+    for (const [name, value] of Object.entries(merged)) {
+        if (value === null || value === undefined || value === '') {
+            delete merged[name];
+        }
+    }
+    
+    if (Object.keys(merged).length > 0) {
+        apiKeySettings.set(apiKey, merged);
+    } else {
+        apiKeySettings.delete(apiKey);
+    }
+    
+    saveApiKeySettingsToFile();
+    return { ...merged };
 }
 
 // 获取API key对应的cookie值（根据轮询策略）
@@ -398,6 +471,8 @@ module.exports = {
     getCookieForApiKey,
     getAllApiKeys,
     getAllCookiesForApiKey,
+    getApiKeySettings,
+    updateApiKeySettings,
     initializeApiKeys,
     removeCookieFromApiKey,
     getInvalidCookies,
@@ -406,5 +481,7 @@ module.exports = {
     loadInvalidCookiesFromFile,
     saveInvalidCookiesToFile,
     loadApiKeysFromFile,
-    saveApiKeysToFile
+    saveApiKeysToFile,
+    loadApiKeySettingsFromFile,
+    saveApiKeySettingsToFile
 }; 
\ No newline at end of file
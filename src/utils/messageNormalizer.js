@@ -0,0 +1,165 @@
+const { InvalidRequestError } = require('./errors');
+const { loadImage, ImageInputError } = require('./imageUtils');
+
+// 支持的角色，developer按system处理，function按tool处理
+const ROLE_ALIASES = {
+  system: 'system',
+  developer: 'system',
+  user: 'user',
+  assistant: 'assistant',
+  tool: 'tool',
+  function: 'tool'
+};
+
+// 按文本处理的content part类型，input_text和output_text来自Responses API
+const TEXT_PART_TYPES = ['text', 'input_text', 'output_text', 'refusal'];
+
+// 规范化content，返回文本和已加载的图片
+function normalizeContent(content, role, param) {
+  if (content == null) {
+    return { text: '', images: [] };
+  }
+  if (typeof content === 'string') {
+    return { text: content, images: [] };
+  }
+  if (!Array.isArray(content)) {
+    throw new InvalidRequestError(`Invalid type for '${param}': expected a string or an array of content parts.`, param, 'invalid_type');
+  }
+
+  const texts = [];
+  const images = [];
+  content.forEach((part, index) => {
+    const partParam = `${param}[${index}]`;
+    if (!part || typeof part !== 'object') {
+      throw new InvalidRequestError(`Invalid content part at '${partParam}': expected an object.`, partParam, 'invalid_type');
+    }
+
+    if (TEXT_PART_TYPES.includes(part.type)) {
+      const text = part.type === 'refusal' ? part.refusal : part.text;
+      if (typeof text !== 'string') {
+        throw new InvalidRequestError(`Missing required parameter: '${partParam}.${part.type === 'refusal' ? 'refusal' : 'text'}'.`, partParam, 'missing_required_parameter');
+      }
+      texts.push(text);
+    } else if (part.type === 'image_url' || part.type === 'input_image') {
+      if (role !== 'user') {
+        throw new InvalidRequestError(`Image content parts are only supported in user messages ('${partParam}').`, partParam, 'invalid_value');
+      }
+      try {
+        // Responses API的input_image中image_url为字符串
+        const image = loadImage(part.image_url);
+        images.push({
+          data: image.data,
+          metadata: {
+            width: image.width,
+            height: image.height
+          }
+        });
+      } catch (error) {
+        if (error instanceof ImageInputError) {
+          throw new InvalidRequestError(`Invalid image at '${partParam}.image_url': ${error.message}`, `${partParam}.image_url`, 'invalid_image');
+        }
+        throw error;
+      }
+    } else {
+      throw new InvalidRequestError(`Unsupported content part type '${part.type}' at '${partParam}.type'.`, `${partParam}.type`, 'invalid_value');
+    }
+  });
+
+  return { text: texts.join('\n'), images };
+}
+
+// 校验assistant消息中的tool_calls
+function validateToolCalls(toolCalls, param) {
+  if (!Array.isArray(toolCalls)) {
+    throw new InvalidRequestError(`Invalid type for '${param}': expected an array.`, param, 'invalid_type');
+  }
+  toolCalls.forEach((call, index) => {
+    const callParam = `${param}[${index}]`;
+    if (!call || typeof call !== 'object' || !call.function || typeof call.function.name !== 'string') {
+      throw new InvalidRequestError(`Missing required parameter: '${callParam}.function.name'.`, `${callParam}.function.name`, 'missing_required_parameter');
+    }
+    if (!call.id) {
+      throw new InvalidRequestError(`Missing required parameter: '${callParam}.id'.`, `${callParam}.id`, 'missing_required_parameter');
+    }
+  });
+}
+
+/**
+ * 规范化单条OpenAI格式的消息
+ * @param {Object} msg - 消息
+ * @param {string} param - 出错时返回的参数路径，如 messages[0]
+ * @returns {{role: string, content: string, images: Array, tool_calls?: Array, tool_call_id?: string, name?: string}}
+ */
+function normalizeMessage(msg, param) {
+  if (!msg || typeof msg !== 'object') {
+    throw new InvalidRequestError(`Invalid type for '${param}': expected an object.`, param, 'invalid_type');
+  }
+  if (typeof msg.role !== 'string') {
+    throw new InvalidRequestError(`Missing required parameter: '${param}.role'.`, `${param}.role`, 'missing_required_parameter');
+  }
+
+  const role = ROLE_ALIASES[msg.role];
+  if (!role) {
+    throw new InvalidRequestError(`Invalid value: '${msg.role}'. Supported values are: ${Object.keys(ROLE_ALIASES).map(r => `'${r}'`).join(', ')}.`, `${param}.role`, 'invalid_value');
+  }
+  if (msg.name != null && typeof msg.name !== 'string') {
+    throw new InvalidRequestError(`Invalid type for '${param}.name': expected a string.`, `${param}.name`, 'invalid_type');
+  }
+
+  const hasToolCalls = role === 'assistant' && msg.tool_calls != null;
+  if (hasToolCalls) {
+    validateToolCalls(msg.tool_calls, `${param}.tool_calls`);
+  }
+  if (msg.content == null && role !== 'assistant') {
+    throw new InvalidRequestError(`Missing required parameter: '${param}.content'.`, `${param}.content`, 'missing_required_parameter');
+  }
+
+  const { text, images } = normalizeContent(msg.content, role, `${param}.content`);
+  const normalized = { role, content: text, images };
+
+  if (role === 'tool') {
+    // 旧版function角色使用name关联调用
+    const toolCallId = msg.tool_call_id || (msg.role === 'function' ? msg.name : null);
+    if (!toolCallId) {
+      throw new InvalidRequestError(`Missing required parameter: '${param}.tool_call_id'.`, `${param}.tool_call_id`, 'missing_required_parameter');
+    }
+    normalized.tool_call_id = toolCallId;
+    if (msg.name) {
+      normalized.name = msg.name;
+    }
+  } else if ((role === 'user' || role === 'assistant') && msg.name && text) {
+    // 上游没有name字段，以前缀形式保留发言者
+    normalized.content = `${msg.name}: ${text}`;
+  }
+
+  if (hasToolCalls) {
+    normalized.tool_calls = msg.tool_calls;
+  }
+
+  return normalized;
+}
+
+/**
+ * 规范化OpenAI格式的消息列表，供generateCursorBody使用
+ * - content数组中的文本合并为字符串，图片加载为 images
+ * - developer按system处理，function按tool处理
+ * - user和assistant消息的name以前缀形式写入content
+ * 消息格式有误时抛出InvalidRequestError
+ * @param {Array} messages - OpenAI格式的消息列表
+ * @returns {Array<{role: string, content: string, images: Array, tool_calls?: Array, tool_call_id?: string, name?: string}>}
+ */
+function normalizeMessages(messages) {
+  if (!Array.isArray(messages)) {
+    throw new InvalidRequestError("Invalid type for 'messages': expected an array.", 'messages', 'invalid_type');
+  }
+  if (messages.length === 0) {
+    throw new InvalidRequestError("Invalid 'messages': empty array. Expected an array with minimum length 1.", 'messages', 'empty_array');
+  }
+
+  return messages.map((msg, index) => normalizeMessage(msg, `messages[${index}]`));
+}
+
+module.exports = {
+  normalizeMessage,
+  normalizeMessages
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// 定义模型别名的存储文件路径
+const MODEL_ALIASES_FILE = path.join(__dirname, '../../data/model_aliases.json');
+
+// 思考模型在上游的名称后缀
+const THINKING_SUFFIX = '-thinking';
+
+// 存储模型别名，键为客户端请求的模型名
+// 值为 { model: 上游模型名, thinking?: boolean, largeContext?: boolean }
+let modelAliases = new Map();
+
+// 从文件加载模型别名
+function loadModelAliases() {
+  try {
+    modelAliases.clear();
+    if (fs.existsSync(MODEL_ALIASES_FILE)) {
+      const data = fs.readFileSync(MODEL_ALIASES_FILE, 'utf8');
+      const aliasesObj = JSON.parse(data);
+
+      for (const [alias, entry] of Object.entries(aliasesObj)) {
+        if (validateModelAlias(alias, entry)) {
+          logger.warn(`忽略无效的模型别名: ${alias}`);
+          continue;
+        }
+        modelAliases.set(alias, entry);
+      }
+
+      logger.info(`从文件加载了 ${modelAliases.size} 个模型别名`);
+    }
+  } catch (err) {
+    logger.error('加载模型别名文件失败:', err);
+  }
+}
+
+// 将模型别名保存到文件
+function saveModelAliases() {
+  try {
+    fs.mkdirSync(path.dirname(MODEL_ALIASES_FILE), { recursive: true });
+    const aliasesObj = Object.fromEntries(modelAliases.entries());
+    fs.writeFileSync(MODEL_ALIASES_FILE, JSON.stringify(aliasesObj, null, 2), 'utf8');
+    logger.info(`已将 ${modelAliases.size} 个模型别名保存到文件`);
+  } catch (err) {
+    logger.error('保存模型别名文件失败:', err);
+  }
+}
+
+/**
+ * 校验模型别名配置
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+function validateModelAlias(alias, entry) {
+  if (typeof alias !== 'string' || !alias.trim()) {
+    return '别名不能为空';
+  }
+  if (!entry || typeof entry !== 'object' || typeof entry.model !== 'string' || !entry.model.trim()) {
+    return '上游模型名不能为空';
+  }
+  for (const name of ['thinking', 'largeContext']) {
+    if (entry[name] != null && typeof entry[name] !== 'boolean') {
+      return `${name} 必须为布尔值`;
+    }
+  }
+  return null;
+}
+
+// 获取所有模型别名
+function getAllModelAliases() {
+  return Object.fromEntries(modelAliases.entries());
+}
+
+/**
+ * 添加或更新模型别名
+ * @param {string} alias - 客户端请求的模型名
+ * @param {Object} entry
+ * @param {string} entry.model - 上游模型名
+ * @param {boolean} [entry.thinking] - true时使用上游模型的-thinking版本，false时使用非思考版本，不设置则保持上游模型名不变
+ * @param {boolean} [entry.largeContext] - 是否开启上游的长上下文模式
+ * @returns {Object} 保存后的配置
+ * @throws {Error} 配置无效时抛出
+ */
+function setModelAlias(alias, entry) {
+  const error = validateModelAlias(alias, entry);
+  if (error) {
+    throw new Error(error);
+  }
+  const saved = { model: entry.model.trim() };
+  for (const name of ['thinking', 'largeContext']) {
+    if (entry[name] != null) {
+      saved[name] = entry[name];
+    }
+  }
+  modelAliases.set(alias.trim(), saved);
+  saveModelAliases();
+  return { ...saved };
+}
+
+// 删除模型别名，返回是否存在
+function removeModelAlias(alias) {
+  const removed = modelAliases.delete(alias);
+  if (removed) {
+    saveModelAliases();
+  }
+  return removed;
+}
+
+/**
+ * 将请求的模型名解析为上游模型名和请求参数，未配置别名时原样使用请求的模型名
+ * @param {string} requested - 客户端请求的模型名
+ * @returns {{name: string, largeContext: boolean}}
+ */
+function resolveModel(requested) {
+  const entry = modelAliases.get(requested);
+  if (!entry) {
+    return { name: requested, largeContext: false };
+  }
+
+  let name = entry.model;
+  if (entry.thinking === true && !name.endsWith(THINKING_SUFFIX)) {
+    name += THINKING_SUFFIX;
+  } else if (entry.thinking === false && name.endsWith(THINKING_SUFFIX)) {
+    name = name.slice(0, -THINKING_SUFFIX.length);
+  }
+  logger.debug(`模型别名 ${requested} -> ${name}`);
+  return { name, largeContext: entry.largeContext === true };
+}
+
+module.exports = {
+  loadModelAliases,
+  getAllModelAliases,
+  setModelAlias,
+  removeModelAlias,
+  resolveModel
+};
@@ -0,0 +1,68 @@
+const { InvalidRequestError } = require('./errors');
+const { openCursorChat } = require('./cursorChat');
+const keyManager = require('./keyManager');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * 校验n参数
+ * @param {number|null} n
+ * @returns {number} 未设置时为1
+ */
+function resolveChoiceCount(n) {
+  if (n == null) {
+    return 1;
+  }
+  if (!(Number.isInteger(n) && n >= 1 && n <= config.choices.max)) {
+    throw new InvalidRequestError(`Invalid 'n': expected an integer between 1 and ${config.choices.max}, got ${JSON.stringify(n)}.`, 'n', 'invalid_value');
+  }
+  return n;
+}
+
+/**
+ * 中止仍在进行的上游请求并清除超时计时
+ * 不能用events.return()：尚未开始读取的事件流调用return()不会执行清理
+ * @param {Array<{close: Function}>} upstreams - openCursorChat的返回值
+ */
+function closeUpstreams(upstreams) {
+  for (const upstream of upstreams) {
+    upstream.close();
+  }
+}
+
+/**
+ * 并行发起n个上游请求，每个请求对应一个choice，各自独立进行Cookie失败切换
+ * config.choices.spreadCookies为true时，第i个请求优先使用该API Key下的第i个Cookie(循环分配)
+ * 任一请求最终失败时关闭其余已建立的请求，并抛出该错误
+ * @param {string} apiKey
+ * @param {Buffer} cursorBody
+ * @param {number} n
+ * @param {Object} options - openCursorChat的参数
+ * @returns {Promise<Array<{events: AsyncGenerator, cookie: string, tried: string[], close: Function, closed: boolean}>>} 按choice的index排列
+ */
+async function openCursorChoices(apiKey, cursorBody, n, options) {
+  if (n === 1) {
+    return [await openCursorChat(apiKey, cursorBody, options)];
+  }
+
+  const cookies = config.choices.spreadCookies ? keyManager.getAllCookiesForApiKey(apiKey) : [];
+  const results = await Promise.allSettled(Array.from({ length: n }, (_, index) => openCursorChat(apiKey, cursorBody, {
+    ...options,
+    cookie: cookies.length > 0 ? cookies[index % cookies.length] : undefined,
+  })));
+
+  const upstreams = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    logger.error(`n=${n}的请求中有 ${n - upstreams.length} 个上游请求失败，已关闭其余请求`);
+    closeUpstreams(upstreams);
+    throw failed.reason;
+  }
+  return upstreams;
+}
+
+module.exports = {
+  resolveChoiceCount,
+  closeUpstreams,
+  openCursorChoices
+};
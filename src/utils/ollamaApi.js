@@ -0,0 +1,256 @@
+const { InvalidRequestError } = require('./errors');
+const { normalizeMessage } = require('./messageNormalizer');
+const { generateToolCallId } = require('./toolCalls');
+const { buildCompletionMessages } = require('./textCompletion');
+
+// Ollama的模型名可能带有:latest标签
+function resolveOllamaModel(model) {
+  if (typeof model !== 'string' || !model) {
+    throw new InvalidRequestError('model is required', 'model', 'missing_required_parameter');
+  }
+  return model.replace(/:latest$/, '');
+}
+
+// Ollama的images为不带前缀的base64字符串
+function imagesToParts(images, param) {
+  if (images == null) {
+    return [];
+  }
+  if (!Array.isArray(images)) {
+    throw new InvalidRequestError(`${param}: expected an array of base64 strings`, param, 'invalid_type');
+  }
+  return images.map((image, index) => {
+    if (typeof image !== 'string') {
+      throw new InvalidRequestError(`${param}[${index}]: expected a base64 string`, `${param}[${index}]`, 'invalid_type');
+    }
+    return {
+      type: 'image_url',
+      image_url: { url: image.startsWith('data:') ? image : `data:image/png;base64,${image}` },
+    };
+  });
+}
+
+/**
+ * 将/api/chat的messages转换为规范化的消息列表
+ * Ollama的工具调用没有id，按出现顺序分配id，tool消息按函数名关联最近一次未响应的调用
+ * @param {Array} messages
+ * @returns {Array} 与normalizeMessages输出格式相同的消息列表
+ */
+function ollamaChatToMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new InvalidRequestError('messages is required', 'messages', 'missing_required_parameter');
+  }
+
+  const pendingCalls = new Map(); // 函数名 -> 未响应的调用id列表
+  let lastCallIds = []; // 上一条assistant消息中的调用id，用于没有tool_name的tool消息
+  return messages.map((msg, index) => {
+    const param = `messages[${index}]`;
+    if (!msg || typeof msg !== 'object') {
+      throw new InvalidRequestError(`${param}: expected an object`, param, 'invalid_type');
+    }
+
+    if (msg.role === 'tool') {
+      const name = msg.tool_name || msg.name;
+      const ids = name ? pendingCalls.get(name) || [] : [];
+      const callId = ids.shift() || lastCallIds[0] || generateToolCallId();
+      lastCallIds = lastCallIds.filter(id => id !== callId);
+      return normalizeMessage({ role: 'tool', tool_call_id: callId, name, content: msg.content ?? '' }, param);
+    }
+
+    const images = imagesToParts(msg.images, `${param}.images`);
+    const message = {
+      role: msg.role,
+      content: images.length > 0 ? [{ type: 'text', text: msg.content ?? '' }, ...images] : msg.content ?? '',
+    };
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      message.tool_calls = msg.tool_calls.map(call => {
+        const fn = (call && call.function) || {};
+        const id = call.id || generateToolCallId();
+        pendingCalls.set(fn.name, [...(pendingCalls.get(fn.name) || []), id]);
+        return {
+          id,
+          type: 'function',
+          function: {
+            name: fn.name,
+            arguments: typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments ?? {}),
+          },
+        };
+      });
+      lastCallIds = message.tool_calls.map(call => call.id);
+    }
+    return normalizeMessage(message, param);
+  });
+}
+
+/**
+ * 将/api/generate的参数转换为规范化的消息列表
+ * 提供suffix时按填空方式补全，否则prompt作为用户消息
+ * @returns {Array} 与normalizeMessages输出格式相同的消息列表
+ */
+function ollamaGenerateToMessages({ prompt, suffix, system, images }) {
+  if (typeof prompt !== 'string') {
+    throw new InvalidRequestError('prompt: expected a string', 'prompt', 'invalid_type');
+  }
+  if (suffix) {
+    const messages = buildCompletionMessages(prompt, suffix);
+    return system ? [{ role: 'system', content: system, images: [] }, ...messages] : messages;
+  }
+
+  const parts = imagesToParts(images, 'images');
+  const messages = [];
+  if (system) {
+    messages.push(normalizeMessage({ role: 'system', content: system }, 'system'));
+  }
+  messages.push(normalizeMessage({
+    role: 'user',
+    content: parts.length > 0 ? [{ type: 'text', text: prompt }, ...parts] : prompt,
+  }, 'prompt'));
+  return messages;
+}
+
+/**
+ * NDJSON输出器，Ollama的流式响应每行一个JSON对象
+ */
+class NdjsonStream {
+  /**
+   * @param {import('express').Response} res
+   */
+  constructor(res) {
+    this.res = res;
+    this.ended = false;
+  }
+
+  write(data) {
+    if (this.ended || this.res.writableEnded) {
+      return;
+    }
+    if (!this.res.headersSent) {
+      this.res.setHeader('Content-Type', 'application/x-ndjson');
+      this.res.setHeader('Cache-Control', 'no-cache');
+    }
+    this.res.write(`${JSON.stringify(data)}\n`);
+  }
+
+  // 以Ollama格式的错误行输出错误并结束响应
+  error(message) {
+    this.write({ error: message });
+    this.close();
+  }
+
+  close() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    if (!this.res.writableEnded) {
+      this.res.end();
+    }
+  }
+}
+
+/**
+ * 构建/api/chat和/api/generate的响应
+ * 流式请求中每段输出作为一行发送，最后一行带有done、done_reason和统计信息
+ */
+class OllamaResponseBuilder {
+  /**
+   * @param {NdjsonStream|null} stream - 流式请求的输出器，非流式时为null
+   * @param {Object} options
+   * @param {string} options.model - 返回给客户端的模型名
+   * @param {'chat'|'generate'} options.endpoint - chat返回message对象，generate返回response字段
+   */
+  constructor(stream, { model, endpoint }) {
+    this.stream = stream;
+    this.model = model;
+    this.endpoint = endpoint;
+    this.startTime = process.hrtime.bigint();
+    this.content = '';
+    this.thinking = '';
+    this.toolCalls = [];
+  }
+
+  buildLine({ content = '', thinking = '', toolCalls = [] }, done) {
+    const payload = this.endpoint === 'chat'
+      ? {
+        message: {
+          role: 'assistant',
+          content,
+          ...(thinking ? { thinking } : {}),
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+        },
+      }
+      : { response: content, ...(thinking ? { thinking } : {}) };
+    return { model: this.model, created_at: new Date().toISOString(), ...payload, done };
+  }
+
+  emit(fields) {
+    if (this.stream) {
+      this.stream.write(this.buildLine(fields, false));
+    }
+  }
+
+  // 输出思考内容
+  thought(text) {
+    if (text) {
+      this.thinking += text;
+      this.emit({ thinking: text });
+    }
+  }
+
+  // 输出正文
+  text(text) {
+    if (text) {
+      this.content += text;
+      this.emit({ content: text });
+    }
+  }
+
+  // 输出一个完整的工具调用（toolCalls.ToolCallParser解析出的chat格式），arguments为对象
+  toolCall(toolCall) {
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (e) {
+      args = {};
+    }
+    const call = { function: { name: toolCall.function.name, arguments: args } };
+    this.toolCalls.push(call);
+    this.emit({ toolCalls: [call] });
+  }
+
+  /**
+   * 完成响应
+   * @param {string} doneReason - stop, length
+   * @param {Object} usage - chat格式的usage
+   * @returns {Object} 最后一行（流式）或完整响应（非流式）
+   */
+  complete(doneReason, usage) {
+    const fields = this.stream
+      ? {}
+      : { content: this.content, thinking: this.thinking, toolCalls: this.toolCalls };
+    // 时长单位为纳秒，上游不提供分阶段耗时，只统计总耗时
+    const totalDuration = Number(process.hrtime.bigint() - this.startTime);
+    const line = {
+      ...this.buildLine(fields, true),
+      done_reason: doneReason,
+      total_duration: totalDuration,
+      load_duration: 0,
+      prompt_eval_count: usage.prompt_tokens,
+      prompt_eval_duration: 0,
+      eval_count: usage.completion_tokens,
+      eval_duration: totalDuration,
+    };
+    if (this.stream) {
+      this.stream.write(line);
+    }
+    return line;
+  }
+}
+
+module.exports = {
+  resolveOllamaModel,
+  ollamaChatToMessages,
+  ollamaGenerateToMessages,
+  NdjsonStream,
+  OllamaResponseBuilder
+};
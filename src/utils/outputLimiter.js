@@ -0,0 +1,145 @@
+const { InvalidRequestError } = require('./errors');
+const { partialTagLength } = require('./toolCalls');
+const { countTokens, truncateToTokens } = require('./tokenizer');
+
+// 增量计算token数时与已输出文本重叠的字符数，用于修正跨数据块合并的token
+const TOKEN_OVERLAP = 16;
+// 估算的token数距上限不足此值时，按全文精确计算
+const TOKEN_MARGIN = 16;
+
+/**
+ * 校验停止序列参数
+ * @param {string|string[]|null} stop - 字符串或字符串数组
+ * @param {string} [param] - 出错时返回的参数名
+ * @returns {string[]}
+ */
+function resolveStopSequences(stop, param = 'stop') {
+  if (stop == null) {
+    return [];
+  }
+  const sequences = typeof stop === 'string' ? [stop] : stop;
+  if (!Array.isArray(sequences) || !sequences.every(sequence => typeof sequence === 'string')) {
+    throw new InvalidRequestError(`Invalid type for '${param}': expected a string or an array of strings.`, param, 'invalid_type');
+  }
+  return sequences.filter(Boolean);
+}
+
+/**
+ * 校验输出token上限参数
+ * @param {number|null} value
+ * @param {string} param - 出错时返回的参数名
+ * @returns {number|null} 未设置时返回null
+ */
+function resolveMaxTokens(value, param) {
+  if (value == null) {
+    return null;
+  }
+  if (!(Number.isInteger(value) && value > 0)) {
+    throw new InvalidRequestError(`Invalid '${param}': expected a positive integer, got ${JSON.stringify(value)}.`, param, 'invalid_value');
+  }
+  return value;
+}
+
+/**
+ * 输出限制器：在网关侧执行停止序列和输出token上限
+ * - 停止序列可能跨越上游的多个数据块，可能是停止序列开头的结尾部分会暂缓输出，直到确认不是停止序列
+ * - 超出token上限时截断到上限为止
+ * 命中任一限制后finishReason变为stop或length，此后的输入全部丢弃，调用方应停止读取上游
+ * 只限制正文，思考内容和工具调用不计入
+ */
+class OutputLimiter {
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.stop] - 停止序列
+   * @param {number|null} [options.maxTokens] - 输出token上限
+   * @param {string} options.model - 用于计算token数的模型名
+   */
+  constructor({ stop = [], maxTokens = null, model } = {}) {
+    this.stopSequences = stop.filter(Boolean);
+    this.maxTokens = maxTokens;
+    this.model = model;
+    this.pending = ''; // 暂缓输出的文本
+    this.text = ''; // 已输出的文本
+    this.tokenCount = 0; // 已输出文本的token数(增量估算，接近上限时按全文校正)
+    this.finishReason = null; // 命中停止序列为stop，超出token上限为length
+    this.stopSequence = null; // 命中的停止序列
+  }
+
+  get finished() {
+    return this.finishReason !== null;
+  }
+
+  /**
+   * 输入一段正文，返回可以输出的部分
+   * @param {string} text
+   * @returns {string}
+   */
+  feed(text) {
+    if (this.finished || !text) {
+      return '';
+    }
+    return this.applyBudget(this.matchStop(text));
+  }
+
+  // 输出结束时返回暂缓的文本
+  flush() {
+    if (this.finished) {
+      return '';
+    }
+    const output = this.pending;
+    this.pending = '';
+    return this.applyBudget(output);
+  }
+
+  matchStop(text) {
+    if (this.stopSequences.length === 0) {
+      return text;
+    }
+    const buffer = this.pending + text;
+
+    let stopIndex = -1;
+    for (const sequence of this.stopSequences) {
+      const index = buffer.indexOf(sequence);
+      if (index !== -1 && (stopIndex === -1 || index < stopIndex)) {
+        stopIndex = index;
+        this.stopSequence = sequence;
+      }
+    }
+    if (stopIndex !== -1) {
+      this.pending = '';
+      this.finishReason = 'stop';
+      return buffer.slice(0, stopIndex);
+    }
+
+    const keep = Math.max(...this.stopSequences.map(sequence => partialTagLength(buffer, sequence)));
+    this.pending = buffer.slice(buffer.length - keep);
+    return buffer.slice(0, buffer.length - keep);
+  }
+
+  applyBudget(piece) {
+    if (this.maxTokens && piece) {
+      // 只计算新增部分，避免每个数据块都重新分词全部输出
+      const tail = this.text.slice(-TOKEN_OVERLAP);
+      this.tokenCount += countTokens(tail + piece, this.model) - countTokens(tail, this.model);
+      if (this.tokenCount >= this.maxTokens - TOKEN_MARGIN) {
+        const text = this.text + piece;
+        this.tokenCount = countTokens(text, this.model);
+        if (this.tokenCount > this.maxTokens) {
+          const limited = truncateToTokens(text, this.maxTokens, this.model);
+          piece = limited.length > this.text.length ? limited.slice(this.text.length) : '';
+          this.finishReason = 'length';
+          this.stopSequence = null;
+          this.pending = '';
+        }
+      }
+    }
+    this.text += piece;
+    return piece;
+  }
+}
+
+module.exports = {
+  resolveStopSequences,
+  resolveMaxTokens,
+  OutputLimiter
+};
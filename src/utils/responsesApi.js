@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const { ApiError, InvalidRequestError } = require('./errors');
+const { normalizeMessage } = require('./messageNormalizer');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// 已保存的响应，供previous_response_id重建对话；按写入顺序淘汰最早的记录
+const responseStore = new Map();
+let responseStoreSize = 0; // 已保存响应的估算总字节数
+
+// 生成OpenAI风格的对象id，如 resp_xxx、msg_xxx
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// 将单个input项转换为chat格式的消息，reasoning项不发送给上游，返回null
+function inputItemToMessage(item, param) {
+  if (!item || typeof item !== 'object') {
+    throw new InvalidRequestError(`Invalid type for '${param}': expected an object.`, param, 'invalid_type');
+  }
+
+  const type = item.type || 'message';
+  switch (type) {
+    case 'message':
+      return { role: item.role, content: item.content };
+    case 'function_call':
+      if (typeof item.call_id !== 'string' || typeof item.name !== 'string') {
+        throw new InvalidRequestError(`Missing required parameter: '${param}.${typeof item.call_id !== 'string' ? 'call_id' : 'name'}'.`, param, 'missing_required_parameter');
+      }
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '' } }],
+      };
+    case 'function_call_output':
+      if (typeof item.call_id !== 'string') {
+        throw new InvalidRequestError(`Missing required parameter: '${param}.call_id'.`, `${param}.call_id`, 'missing_required_parameter');
+      }
+      return {
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output ?? ''),
+      };
+    case 'reasoning':
+      return null;
+    default:
+      throw new InvalidRequestError(`Unsupported input item type '${type}' at '${param}.type'.`, `${param}.type`, 'invalid_value');
+  }
+}
+
+/**
+ * 将Responses API的input转换为规范化的消息列表
+ * @param {string|Array} input - 字符串或input项数组（message、function_call、function_call_output、reasoning）
+ * @returns {Array} 与normalizeMessages输出格式相同的消息列表
+ */
+function inputToMessages(input) {
+  if (typeof input === 'string') {
+    return [normalizeMessage({ role: 'user', content: input }, 'input')];
+  }
+  if (!Array.isArray(input)) {
+    throw new InvalidRequestError(
+      input === undefined ? "Missing required parameter: 'input'." : "Invalid type for 'input': expected a string or an array of input items.",
+      'input',
+      input === undefined ? 'missing_required_parameter' : 'invalid_type'
+    );
+  }
+
+  const messages = [];
+  input.forEach((item, index) => {
+    const param = `input[${index}]`;
+    const message = inputItemToMessage(item, param);
+    if (message) {
+      messages.push(normalizeMessage(message, param));
+    }
+  });
+  return messages;
+}
+
+/**
+ * 将Responses API的函数工具定义转换为chat格式
+ * 只支持function类型，内置工具（web_search、file_search等）返回400
+ */
+function convertTools(tools) {
+  if (tools == null) {
+    return undefined;
+  }
+  if (!Array.isArray(tools)) {
+    throw new InvalidRequestError("Invalid type for 'tools': expected an array.", 'tools', 'invalid_type');
+  }
+  return tools.map((tool, index) => {
+    const param = `tools[${index}]`;
+    if (!tool || tool.type !== 'function') {
+      throw new InvalidRequestError(`Unsupported tool type '${tool && tool.type}' at '${param}.type'. Only function tools are supported.`, `${param}.type`, 'invalid_value');
+    }
+    if (typeof tool.name !== 'string') {
+      throw new InvalidRequestError(`Missing required parameter: '${param}.name'.`, `${param}.name`, 'missing_required_parameter');
+    }
+    return {
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    };
+  });
+}
+
+// 将Responses API的tool_choice转换为chat格式
+function convertToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return toolChoice;
+}
+
+// 将响应的输出项转换为规范化的assistant消息，用于重建对话
+function outputToMessages(output) {
+  const messages = [];
+  for (const item of output) {
+    if (item.type === 'message') {
+      messages.push({ role: 'assistant', content: item.content.map(part => part.text || '').join(''), images: [] });
+    } else if (item.type === 'function_call') {
+      messages.push({
+        role: 'assistant',
+        content: '',
+        images: [],
+        tool_calls: [{ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } }],
+      });
+    }
+  }
+  return messages;
+}
+
+// 估算一条记录占用的内存：消息文本 + 已解码的图片 + 响应对象
+// 通过previous_response_id延续的对话会与之前的记录共享同一批图片，这里重复计入，估算值偏大
+function estimateRecordSize(response, messages) {
+  let size = JSON.stringify(response).length;
+  for (const message of messages) {
+    size += message.content.length;
+    for (const image of message.images) {
+      size += image.data.length;
+    }
+  }
+  return size;
+}
+
+/**
+ * 保存已完成的响应
+ * 数量超过RESPONSES_STORE_LIMIT或总大小超过RESPONSES_STORE_MAX_SIZE时淘汰最早的响应，单条超过总大小上限的响应不保存
+ * @param {string} apiKey - 创建该响应的API Key，只有同一API Key可以读取
+ * @param {Object} response - 响应对象
+ * @param {Array} messages - 本次请求的对话消息（不含instructions）
+ */
+function saveResponse(apiKey, response, messages) {
+  const { storeLimit, storeMaxSize } = config.responses;
+  if (storeLimit <= 0) {
+    return;
+  }
+  const size = estimateRecordSize(response, messages);
+  if (size > storeMaxSize) {
+    logger.warn(`响应 ${response.id} 大小约${Math.ceil(size / 1024 / 1024)}MB，超过RESPONSES_STORE_MAX_SIZE，不保存`);
+    return;
+  }
+  responseStore.set(response.id, { apiKey, response, messages, size });
+  responseStoreSize += size;
+  while (responseStore.size > storeLimit || responseStoreSize > storeMaxSize) {
+    const [oldestId, oldest] = responseStore.entries().next().value;
+    responseStore.delete(oldestId);
+    responseStoreSize -= oldest.size;
+  }
+}
+
+// 获取已保存的响应，不存在或不属于该API Key时返回null
+function getResponse(apiKey, id) {
+  const record = responseStore.get(id);
+  return record && record.apiKey === apiKey ? record : null;
+}
+
+/**
+ * 根据previous_response_id重建之前的对话：上次请求的消息 + 上次的输出
+ * 与OpenAI一致，上次请求的instructions不会带入新请求
+ * @throws {ApiError} 响应不存在时返回404
+ */
+function buildConversation(apiKey, previousResponseId) {
+  const record = getResponse(apiKey, previousResponseId);
+  if (!record) {
+    throw new ApiError(`Previous response with id '${previousResponseId}' not found.`, {
+      status: 404,
+      type: 'invalid_request_error',
+      param: 'previous_response_id',
+      code: 'previous_response_not_found',
+    });
+  }
+  return [...record.messages, ...outputToMessages(record.response.output)];
+}
+
+// 将chat格式的usage转换为Responses API格式
+function toResponseUsage(usage) {
+  return {
+    input_tokens: usage.prompt_tokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: usage.completion_tokens,
+    output_tokens_details: { reasoning_tokens: usage.completion_tokens_details.reasoning_tokens },
+    total_tokens: usage.total_tokens,
+  };
+}
+
+/**
+ * 构建Responses API的响应对象，并在流式请求中同步输出对应的事件
+ * 输出项按上游输出顺序排列：reasoning（思考内容，以summary_text输出）、message（正文）、function_call（工具调用）
+ * 首个事件前自动发送response.created和response.in_progress
+ */
+class ResponseBuilder {
+  /**
+   * @param {import('./sseWriter').ResponseStream|null} stream - 流式请求的输出器，非流式时为null
+   * @param {Object} params - 请求中需要回显的参数
+   */
+  constructor(stream, { model, instructions, previousResponseId, tools, toolChoice, maxOutputTokens, store, metadata }) {
+    this.stream = stream;
+    this.started = false;
+    this.current = null; // 正在输出的输出项
+    this.response = {
+      id: generateId('resp'),
+      object: 'response',
+      created_at: Math.floor(Date.now() / 1000),
+      status: 'in_progress',
+      error: null,
+      incomplete_details: null,
+      instructions: instructions ?? null,
+      max_output_tokens: maxOutputTokens ?? null,
+      model,
+      output: [],
+      parallel_tool_calls: true,
+      previous_response_id: previousResponseId ?? null,
+      reasoning: { effort: null, summary: null },
+      store: store !== false,
+      temperature: null,
+      text: { format: { type: 'text' } },
+      tool_choice: toolChoice ?? 'auto',
+      tools: tools ?? [],
+      top_p: null,
+      truncation: 'disabled',
+      usage: null,
+      user: null,
+      metadata: metadata ?? {},
+    };
+  }
+
+  emit(type, data) {
+    if (this.stream) {
+      this.stream.event(type, data);
+    }
+  }
+
+  ensureStarted() {
+    if (!this.started) {
+      this.started = true;
+      this.emit('response.created', { response: this.response });
+      this.emit('response.in_progress', { response: this.response });
+    }
+  }
+
+  // 新增一个输出项
+  addItem(item) {
+    this.ensureStarted();
+    this.closeCurrent();
+    const outputIndex = this.response.output.length;
+    this.response.output.push(item);
+    this.emit('response.output_item.added', { output_index: outputIndex, item });
+    return outputIndex;
+  }
+
+  // 结束正在输出的reasoning或message项
+  closeCurrent() {
+    const current = this.current;
+    if (!current) {
+      return;
+    }
+    this.current = null;
+    const { item, outputIndex } = current;
+
+    if (item.type === 'reasoning') {
+      const part = item.summary[0];
+      this.emit('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text: part.text });
+      this.emit('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+    } else {
+      const part = item.content[0];
+      this.emit('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+      this.emit('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+      item.status = 'completed';
+    }
+    this.emit('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  // 输出思考内容
+  reasoning(text) {
+    if (!text) {
+      return;
+    }
+    if (!this.current || this.current.item.type !== 'reasoning') {
+      const item = { id: generateId('rs'), type: 'reasoning', summary: [] };
+      const outputIndex = this.addItem(item);
+      const part = { type: 'summary_text', text: '' };
+      this.emit('response.reasoning_summary_part.added', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+      item.summary.push(part);
+      this.current = { item, outputIndex };
+    }
+    const { item, outputIndex } = this.current;
+    item.summary[0].text += text;
+    this.emit('response.reasoning_summary_text.delta', { item_id: item.id, output_index: outputIndex, summary_index: 0, delta: text });
+  }
+
+  // 输出正文
+  text(text) {
+    if (!text) {
+      return;
+    }
+    if (!this.current || this.current.item.type !== 'message') {
+      const item = { id: generateId('msg'), type: 'message', status: 'in_progress', role: 'assistant', content: [] };
+      const outputIndex = this.addItem(item);
+      const part = { type: 'output_text', text: '', annotations: [] };
+      this.emit('response.content_part.added', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+      item.content.push(part);
+      this.current = { item, outputIndex };
+    }
+    const { item, outputIndex } = this.current;
+    item.content[0].text += text;
+    this.emit('response.output_text.delta', { item_id: item.id, output_index: outputIndex, content_index: 0, delta: text });
+  }
+
+  /**
+   * 为最后一个message输出项添加联网搜索的url_citation注释
+   * @param {Array} annotations - webSearch.CitationCollector生成的chat格式注释，start_index和end_index会按该项正文重新计算
+   */
+  urlCitations(annotations) {
+    const outputIndex = this.response.output.map(item => item.type).lastIndexOf('message');
+    if (outputIndex === -1 || annotations.length === 0) {
+      return;
+    }
+    const item = this.response.output[outputIndex];
+    const part = item.content[0];
+    for (const { url_citation: citation } of annotations) {
+      const annotation = { type: 'url_citation', url: citation.url, title: citation.title, start_index: 0, end_index: part.text.length };
+      this.emit('response.output_text.annotation.added', {
+        item_id: item.id,
+        output_index: outputIndex,
+        content_index: 0,
+        annotation_index: part.annotations.length,
+        annotation,
+      });
+      part.annotations.push(annotation);
+    }
+  }
+
+  // 输出一个完整的工具调用（toolCalls.ToolCallParser解析出的chat格式）
+  toolCall(toolCall) {
+    const item = {
+      id: generateId('fc'),
+      type: 'function_call',
+      status: 'in_progress',
+      call_id: toolCall.id,
+      name: toolCall.function.name,
+      arguments: '',
+    };
+    const outputIndex = this.addItem(item);
+    const args = toolCall.function.arguments;
+    this.emit('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: args });
+    item.arguments = args;
+    this.emit('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: args });
+    item.status = 'completed';
+    this.emit('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  /**
+   * 完成响应
+   * @param {Object} usage - chat格式的usage
+   * @param {string} [incompleteReason] - 提前结束的原因，如max_output_tokens，此时状态为incomplete
+   * @returns {Object} 响应对象
+   */
+  complete(usage, incompleteReason = null) {
+    this.ensureStarted();
+    this.closeCurrent();
+    this.response.usage = toResponseUsage(usage);
+    if (incompleteReason) {
+      this.response.status = 'incomplete';
+      this.response.incomplete_details = { reason: incompleteReason };
+      this.emit('response.incomplete', { response: this.response });
+    } else {
+      this.response.status = 'completed';
+      this.emit('response.completed', { response: this.response });
+    }
+    return this.response;
+  }
+
+  /**
+   * 以失败状态结束响应
+   * @param {ApiError} apiError
+   * @returns {Object} 响应对象
+   */
+  fail(apiError) {
+    this.ensureStarted();
+    this.closeCurrent();
+    this.response.status = 'failed';
+    this.response.error = { code: apiError.code || apiError.type, message: apiError.message };
+    this.emit('response.failed', { response: this.response });
+    return this.response;
+  }
+}
+
+module.exports = {
+  inputToMessages,
+  convertTools,
+  convertToolChoice,
+  buildConversation,
+  saveResponse,
+  getResponse,
+  ResponseBuilder
+};
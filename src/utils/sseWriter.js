@@ -0,0 +1,452 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { version } = require('../../package.json');
+const { toAnthropicError } = require('./anthropicApi');
+const { toGeminiError } = require('./geminiApi');
+
+// 同一版本的服务返回固定的system_fingerprint
+const SYSTEM_FINGERPRINT = `fp_${crypto.createHash('sha256').update(`cursor-to-openai@${version}`).digest('hex').slice(0, 10)}`;
+
+/**
+ * SSE输出器基类
+ * 负责响应头、数据块、心跳、错误事件和[DONE]，具体的数据块格式由子类决定
+ */
+class SseStream {
+  /**
+   * @param {import('express').Response} res
+   */
+  constructor(res) {
+    this.res = res;
+    this.ended = false; // 是否已结束响应
+    this.heartbeatTimer = null;
+  }
+
+  // 设置SSE响应头
+  start() {
+    if (!this.res.headersSent) {
+      this.res.setHeader('Content-Type', 'text/event-stream');
+      this.res.setHeader('Cache-Control', 'no-cache');
+      this.res.setHeader('Connection', 'keep-alive');
+      this.res.flushHeaders();
+    }
+    return this;
+  }
+
+  // 写入原始SSE文本
+  write(text) {
+    if (this.ended || this.res.writableEnded) {
+      return;
+    }
+    this.start();
+    this.res.write(text);
+    // 有数据输出时重新计算心跳间隔
+    if (this.heartbeatTimer) {
+      this.heartbeatTimer.refresh();
+    }
+  }
+
+  // 写入一个SSE数据块
+  writeData(data) {
+    this.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+
+  // 写入一个带事件名的SSE数据块
+  writeEvent(event, data) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * 开始心跳：超过intervalMs没有输出时发送SSE注释行，防止nginx、Cloudflare等中间层断开空闲连接
+   * 首次心跳会发送响应头，此后的错误只能以SSE error事件返回
+   * @param {number} intervalMs - 心跳间隔(毫秒)，0表示不发送
+   */
+  startHeartbeat(intervalMs) {
+    if (!(intervalMs > 0) || this.heartbeatTimer) {
+      return this;
+    }
+    this.heartbeatTimer = setInterval(() => {
+      if (this.ended || this.res.writableEnded) {
+        this.stopHeartbeat();
+        return;
+      }
+      this.start();
+      this.res.write(': keep-alive\n\n');
+    }, intervalMs);
+    this.res.once('close', () => this.stopHeartbeat());
+    return this;
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 以SSE error事件输出错误并结束响应，用于strict错误模式下的流中途失败
+   * @param {import('./errors').ApiError} apiError
+   */
+  error(apiError) {
+    this.writeEvent('error', apiError.toJSON());
+    this.close();
+  }
+
+  // 发送[DONE]并结束响应
+  done() {
+    this.writeData('[DONE]');
+    this.close();
+  }
+
+  // 结束响应
+  close() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    this.stopHeartbeat();
+    if (!this.res.writableEnded) {
+      this.res.end();
+    }
+  }
+}
+
+/**
+ * chat.completion.chunk 中单个choice的输出状态
+ * 由ChatCompletionStream.choice()创建，n>1时各choice的数据块按index交错输出
+ */
+class ChatCompletionChoice {
+  /**
+   * @param {ChatCompletionStream} stream
+   * @param {number} index - choice的index
+   */
+  constructor(stream, index) {
+    this.stream = stream;
+    this.index = index;
+    this.roleSent = false; // 是否已发送role数据块
+    this.thinkOpen = false; // inline模式下<think>标签是否未闭合
+    this.finished = false; // 是否已发送finish_reason
+  }
+
+  // 写入一个chat.completion.chunk，首个数据块前自动补发role
+  writeChunk(delta, finishReason = null) {
+    if (!this.roleSent) {
+      this.roleSent = true;
+      this.writeChunk({ role: 'assistant', content: '' });
+    }
+    this.stream.writeChoiceChunk(this.index, delta, finishReason);
+  }
+
+  // 闭合inline模式下未闭合的<think>标签
+  closeThink() {
+    if (this.thinkOpen) {
+      this.thinkOpen = false;
+      this.writeChunk({ content: '\n</think>\n' });
+    }
+  }
+
+  // 输出正文
+  content(text) {
+    if (!text || this.finished) {
+      return;
+    }
+    this.closeThink();
+    this.writeChunk({ content: text });
+  }
+
+  // 输出思考内容，按reasoningMode决定输出方式
+  reasoning(text) {
+    if (!text || this.finished) {
+      return;
+    }
+    if (this.stream.reasoningMode === 'separate') {
+      this.writeChunk({ reasoning_content: text });
+    } else if (this.stream.reasoningMode === 'inline') {
+      if (!this.thinkOpen) {
+        this.thinkOpen = true;
+        this.writeChunk({ content: '<think>\n' });
+      }
+      this.writeChunk({ content: text });
+    }
+  }
+
+  // 输出一个完整的工具调用
+  toolCall(index, toolCall) {
+    if (this.finished) {
+      return;
+    }
+    this.closeThink();
+    this.writeChunk({ tool_calls: [{ index, ...toolCall }] });
+  }
+
+  // 输出联网搜索的url_citation注释
+  annotations(list) {
+    if (!list || list.length === 0 || this.finished) {
+      return;
+    }
+    this.closeThink();
+    this.writeChunk({ annotations: list });
+  }
+
+  // 发送finish_reason数据块
+  finish(reason = 'stop') {
+    if (this.finished) {
+      return;
+    }
+    this.closeThink();
+    this.writeChunk({}, reason);
+    this.finished = true;
+  }
+}
+
+/**
+ * chat.completion.chunk 的SSE输出器
+ * 保证每个choice的输出顺序符合OpenAI规范：
+ *   role数据块 -> 内容/思考/工具调用数据块 -> finish_reason数据块
+ * 所有choice结束后输出usage数据块(可选)和[DONE]
+ * 同一响应中的id、created和system_fingerprint保持一致
+ * content、reasoning、toolCall、finish作用于index为0的choice
+ */
+class ChatCompletionStream extends SseStream {
+  /**
+   * @param {import('express').Response} res
+   * @param {Object} options
+   * @param {string} options.model - 返回给客户端的模型名
+   * @param {string} [options.reasoningMode] - 思考内容输出模式: inline, separate, hidden
+   * @param {boolean} [options.includeUsage] - 是否输出usage数据块(stream_options.include_usage)
+   */
+  constructor(res, { model, reasoningMode = 'inline', includeUsage = false } = {}) {
+    super(res);
+    this.id = `chatcmpl-${uuidv4()}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.model = model;
+    this.reasoningMode = reasoningMode;
+    this.includeUsage = includeUsage;
+    this.choices = new Map(); // index -> ChatCompletionChoice
+  }
+
+  /**
+   * 获取指定index的choice输出器，不存在时创建
+   * @param {number} index
+   * @returns {ChatCompletionChoice}
+   */
+  choice(index) {
+    if (!this.choices.has(index)) {
+      this.choices.set(index, new ChatCompletionChoice(this, index));
+    }
+    return this.choices.get(index);
+  }
+
+  // 写入指定choice的chat.completion.chunk
+  writeChoiceChunk(index, delta, finishReason = null) {
+    this.writeData({
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      system_fingerprint: SYSTEM_FINGERPRINT,
+      choices: [
+        {
+          index,
+          delta,
+          logprobs: null,
+          finish_reason: finishReason,
+        },
+      ],
+      ...(this.includeUsage ? { usage: null } : {}),
+    });
+  }
+
+  content(text) {
+    this.choice(0).content(text);
+  }
+
+  reasoning(text) {
+    this.choice(0).reasoning(text);
+  }
+
+  toolCall(index, toolCall) {
+    this.choice(0).toolCall(index, toolCall);
+  }
+
+  finish(reason = 'stop') {
+    this.choice(0).finish(reason);
+  }
+
+  /**
+   * 结束响应：为尚未结束的choice补发finish_reason，然后输出usage数据块和[DONE]
+   * @param {string} reason - finish_reason
+   * @param {Object} [usage] - usage对象，仅在includeUsage时输出
+   */
+  end(reason = 'stop', usage = null) {
+    if (this.ended) {
+      return;
+    }
+    if (this.choices.size === 0) {
+      this.choice(0);
+    }
+    for (const choice of this.choices.values()) {
+      choice.finish(reason);
+    }
+
+    if (this.includeUsage && usage) {
+      this.writeData({
+        id: this.id,
+        object: 'chat.completion.chunk',
+        created: this.created,
+        model: this.model,
+        system_fingerprint: SYSTEM_FINGERPRINT,
+        choices: [],
+        usage,
+      });
+    }
+
+    this.done();
+  }
+}
+
+/**
+ * text_completion 的SSE输出器（/v1/completions）
+ * 输出顺序：文本数据块 -> finish_reason数据块 -> usage数据块(可选) -> [DONE]
+ */
+class TextCompletionStream extends SseStream {
+  /**
+   * @param {import('express').Response} res
+   * @param {Object} options
+   * @param {string} options.model - 返回给客户端的模型名
+   * @param {boolean} [options.includeUsage] - 是否输出usage数据块(stream_options.include_usage)
+   */
+  constructor(res, { model, includeUsage = false } = {}) {
+    super(res);
+    this.id = `cmpl-${uuidv4()}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.model = model;
+    this.includeUsage = includeUsage;
+    this.finished = false; // 是否已发送finish_reason
+  }
+
+  writeChunk(text, finishReason = null) {
+    this.writeData({
+      id: this.id,
+      object: 'text_completion',
+      created: this.created,
+      model: this.model,
+      system_fingerprint: SYSTEM_FINGERPRINT,
+      choices: [
+        {
+          text,
+          index: 0,
+          logprobs: null,
+          finish_reason: finishReason,
+        },
+      ],
+      ...(this.includeUsage ? { usage: null } : {}),
+    });
+  }
+
+  // 输出文本
+  text(text) {
+    if (!text || this.finished) {
+      return;
+    }
+    this.writeChunk(text);
+  }
+
+  // 发送finish_reason数据块
+  finish(reason = 'stop') {
+    if (this.finished) {
+      return;
+    }
+    this.writeChunk('', reason);
+    this.finished = true;
+  }
+
+  /**
+   * 结束响应：补发finish_reason、usage数据块和[DONE]
+   * @param {string} reason - finish_reason
+   * @param {Object} [usage] - usage对象，仅在includeUsage时输出
+   */
+  end(reason = 'stop', usage = null) {
+    if (this.ended) {
+      return;
+    }
+    this.finish(reason);
+
+    if (this.includeUsage && usage) {
+      this.writeData({
+        id: this.id,
+        object: 'text_completion',
+        created: this.created,
+        model: this.model,
+        system_fingerprint: SYSTEM_FINGERPRINT,
+        choices: [],
+        usage,
+      });
+    }
+
+    this.done();
+  }
+}
+
+/**
+ * Responses API的SSE输出器（/v1/responses）
+ * 每个事件以 event: <type> 输出，数据中带有递增的sequence_number，结束时不发送[DONE]
+ * 事件内容由responsesApi.ResponseBuilder生成
+ */
+class ResponseStream extends SseStream {
+  constructor(res) {
+    super(res);
+    this.sequenceNumber = 0;
+  }
+
+  event(type, data) {
+    this.writeEvent(type, { type, sequence_number: this.sequenceNumber++, ...data });
+  }
+
+  // 以Responses API的error事件输出错误并结束响应
+  error(apiError) {
+    const { error } = apiError.toJSON();
+    this.event('error', { code: error.code || error.type, message: error.message, param: error.param });
+    this.close();
+  }
+}
+
+/**
+ * Anthropic Messages API的SSE输出器（/v1/messages）
+ * 每个事件以 event: <type> 输出，结束时不发送[DONE]
+ * 事件内容由anthropicApi.AnthropicMessageBuilder生成
+ */
+class AnthropicMessageStream extends SseStream {
+  event(type, data) {
+    this.writeEvent(type, { type, ...data });
+  }
+
+  // 以Anthropic格式的error事件输出错误并结束响应
+  error(apiError) {
+    this.writeEvent('error', toAnthropicError(apiError));
+    this.close();
+  }
+}
+
+/**
+ * Gemini streamGenerateContent的SSE输出器（alt=sse）
+ * 每个数据块是一个完整的GenerateContentResponse，结束时不发送[DONE]
+ * 数据块内容由geminiApi.GeminiResponseBuilder生成
+ */
+class GeminiStream extends SseStream {
+  // 以Gemini格式的错误数据块输出错误并结束响应
+  error(apiError) {
+    this.writeData(toGeminiError(apiError));
+    this.close();
+  }
+}
+
+module.exports = {
+  SYSTEM_FINGERPRINT,
+  SseStream,
+  ChatCompletionStream,
+  TextCompletionStream,
+  ResponseStream,
+  AnthropicMessageStream,
+  GeminiStream
+};
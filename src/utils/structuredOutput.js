@@ -0,0 +1,216 @@
+const Ajv = require('ajv');
+const { ApiError, InvalidRequestError } = require('./errors');
+const { generateCursorBody } = require('./utils');
+const { parseCursorError, CursorError } = require('./cursorErrors');
+const { openCursorChat, handleCursorError } = require('./cursorChat');
+const { isToolCallingEnabled, parseToolCalls } = require('./toolCalls');
+const { OutputLimiter } = require('./outputLimiter');
+const { CitationCollector } = require('./webSearch');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// 已编译的校验函数，键为序列化后的schema，超出上限时淘汰最早的
+const VALIDATOR_CACHE_LIMIT = 100;
+const validatorCache = new Map();
+
+/**
+ * 编译json_schema的校验函数
+ * 每个schema使用独立的Ajv实例，带$id的schema重复出现时不会冲突，淘汰后也能释放内存
+ * @param {Object} schema
+ * @returns {Function}
+ */
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  let validate = validatorCache.get(key);
+  if (!validate) {
+    validate = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    if (validatorCache.size >= VALIDATOR_CACHE_LIMIT) {
+      validatorCache.delete(validatorCache.keys().next().value);
+    }
+    validatorCache.set(key, validate);
+  }
+  return validate;
+}
+
+/**
+ * 校验response_format参数
+ * @param {Object} [responseFormat]
+ * @returns {{type: 'json_object'|'json_schema', name?: string, schema?: Object, validate?: Function}|null} text或未设置时返回null
+ */
+function resolveResponseFormat(responseFormat) {
+  if (responseFormat == null || responseFormat.type === 'text') {
+    return null;
+  }
+  if (typeof responseFormat !== 'object') {
+    throw new InvalidRequestError("Invalid type for 'response_format': expected an object.", 'response_format', 'invalid_type');
+  }
+  if (responseFormat.type === 'json_object') {
+    return { type: 'json_object' };
+  }
+  if (responseFormat.type !== 'json_schema') {
+    throw new InvalidRequestError(
+      `Invalid value: '${responseFormat.type}'. Supported values are: 'text', 'json_object' and 'json_schema'.`,
+      'response_format.type',
+      'invalid_value'
+    );
+  }
+
+  const jsonSchema = responseFormat.json_schema;
+  if (!jsonSchema || typeof jsonSchema.name !== 'string') {
+    throw new InvalidRequestError("Missing required parameter: 'response_format.json_schema.name'.", 'response_format.json_schema.name', 'missing_required_parameter');
+  }
+  const schema = jsonSchema.schema || {};
+  let validate;
+  try {
+    validate = compileSchema(schema);
+  } catch (error) {
+    throw new InvalidRequestError(`Invalid schema for response_format '${jsonSchema.name}': ${error.message}`, 'response_format.json_schema.schema', 'invalid_value');
+  }
+  return { type: 'json_schema', name: jsonSchema.name, description: jsonSchema.description, schema, validate };
+}
+
+// 生成要求模型按格式输出的系统指令
+function buildFormatInstruction(format) {
+  const lines = [
+    'Respond with a single valid JSON object and nothing else.',
+    'Do not wrap the JSON in code fences and do not add any text before or after it.',
+  ];
+  if (format.type === 'json_schema') {
+    lines.push(`The JSON object must conform to the following JSON Schema${format.description ? ` (${format.description})` : ''}:`);
+    lines.push(JSON.stringify(format.schema, null, 2));
+  }
+  return lines.join('\n');
+}
+
+// 去除模型输出中包裹JSON的代码块标记
+function stripCodeFences(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^```[a-zA-Z]*\s*\n?([\s\S]*?)\n?\s*```$/);
+  return match ? match[1].trim() : trimmed;
+}
+
+/**
+ * 校验输出内容
+ * @returns {string[]} 校验错误列表，为空表示通过
+ */
+function validateOutput(format, content) {
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (error) {
+    return [`Output is not valid JSON: ${error.message}`];
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Output must be a JSON object.'];
+  }
+  if (format.type === 'json_schema' && !format.validate(value)) {
+    return format.validate.errors.map(error => `${error.instancePath || '/'}: ${error.message}`);
+  }
+  return [];
+}
+
+/**
+ * 按response_format请求上游并校验输出，校验失败时把错误反馈给模型重试
+ * 最多重试config.structuredOutput.maxRetries次，仍未通过时抛出ApiError
+ * 因为需要校验完整输出，流式请求也只能在校验通过后一次性输出
+ * 命中停止序列或输出上限时不做校验，直接返回截断的内容
+ * @param {string} apiKey
+ * @param {Array} messages - 规范化后的消息列表
+ * @param {Object} options
+ * @param {string} options.model - 请求的模型名，用于计算token
+ * @param {{name: string, largeContext: boolean}} options.upstreamModel - modelAliases.resolveModel解析出的上游模型
+ * @param {boolean} [options.webSearch] - 是否开启联网搜索
+ * @param {string[]} [options.docs] - 附带的文档链接
+ * @param {string} [options.chatMode] - 对话模式
+ * @returns {Promise<{content: string, reasoning: string, toolCalls: Array, finishReason: string, messages: Array, citations: CitationCollector}>}
+ *   messages为最后一次请求上游时使用的消息列表，用于计算usage；citations为最后一次请求联网搜索返回的网页
+ */
+async function runStructuredChat(apiKey, messages, { model, upstreamModel, webSearch = false, docs = [], chatMode = 'ask', format, tools, toolChoice, stop, maxTokens, checksum, signal }) {
+  const maxRetries = config.structuredOutput.maxRetries;
+  const toolsEnabled = isToolCallingEnabled(tools, toolChoice);
+  let requestMessages = [...messages, { role: 'system', content: buildFormatInstruction(format), images: [] }];
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const cursorBody = generateCursorBody(requestMessages, upstreamModel.name, { tools, toolChoice, largeContext: upstreamModel.largeContext, webSearch, docs, chatMode });
+    const upstream = await openCursorChat(apiKey, cursorBody, {
+      model: upstreamModel.name,
+      checksum,
+      signal,
+    });
+
+    let text = '';
+    let reasoning = '';
+    const citations = new CitationCollector();
+    const limiter = new OutputLimiter({ stop, maxTokens, model });
+    try {
+      for await (const event of upstream.events) {
+        if (event.type === 'end') {
+          if (event.error) {
+            throw parseCursorError(event.error, event.raw);
+          }
+          break;
+        }
+        citations.add(event.webPages);
+        reasoning += event.thinking;
+        text += limiter.feed(event.content);
+        if (limiter.finished) {
+          break;
+        }
+      }
+    } catch (error) {
+      // 上游错误需按分类处理Cookie，调用方再次调用handleCursorError时返回相同结果
+      if (error instanceof CursorError) {
+        handleCursorError(error, apiKey, upstream.cookie);
+      }
+      throw error;
+    }
+    text += limiter.flush();
+    // 与非流式输出相同，去除上游偶尔回显的用户消息
+    text = text.replace(/^.*<\|END_USER\|>/s, '');
+
+    const { content, toolCalls } = toolsEnabled ? parseToolCalls(text) : { content: text, toolCalls: [] };
+    const output = stripCodeFences(content);
+    if (limiter.finished || toolCalls.length > 0) {
+      return {
+        content: limiter.finished ? content : output,
+        reasoning,
+        toolCalls,
+        finishReason: limiter.finishReason || 'tool_calls',
+        messages: requestMessages,
+        citations,
+      };
+    }
+
+    errors = validateOutput(format, output);
+    if (errors.length === 0) {
+      return { content: output, reasoning, toolCalls: [], finishReason: 'stop', messages: requestMessages, citations };
+    }
+
+    logger.warn(`结构化输出校验失败(第${attempt + 1}次): ${errors.join('; ')}`);
+    // 将错误反馈给模型重新生成
+    requestMessages = [
+      ...requestMessages,
+      { role: 'assistant', content: output, images: [] },
+      {
+        role: 'user',
+        content: `Your previous response did not satisfy the required format:\n${errors.map(e => `- ${e}`).join('\n')}\nRespond again with only the corrected JSON object.`,
+        images: [],
+      },
+    ];
+  }
+
+  throw new ApiError(`The model output did not match the requested response_format after ${maxRetries + 1} attempt(s): ${errors.join('; ')}`, {
+    status: 502,
+    type: 'api_error',
+    code: 'invalid_structured_output',
+    param: 'response_format',
+  });
+}
+
+module.exports = {
+  resolveResponseFormat,
+  stripCodeFences,
+  validateOutput,
+  runStructuredChat
+};
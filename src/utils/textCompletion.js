@@ -0,0 +1,67 @@
+const { InvalidRequestError } = require('./errors');
+
+// 上游只有聊天模型，通过系统指令让模型按续写/补全的方式输出
+const CONTINUE_INSTRUCTION = [
+  'You are a raw text completion engine.',
+  'Continue the text provided by the user exactly from where it stops.',
+  'Output only the continuation itself: do not repeat the given text, do not wrap it in quotes or code fences, and do not add any explanation.',
+].join(' ');
+
+const INSERT_INSTRUCTION = [
+  'You are a raw text infilling engine.',
+  'The user provides the text before and after a gap inside <prefix> and <suffix> tags.',
+  'Output only the text that belongs in the gap, so that prefix + output + suffix reads as one continuous text.',
+  'Do not repeat the prefix or suffix, do not output the tags, and do not add quotes, code fences or any explanation.',
+].join(' ');
+
+/**
+ * 校验/v1/completions的prompt参数
+ * 支持字符串或只包含一个字符串的数组，不支持批量prompt和token数组
+ * @param {*} prompt
+ * @returns {string}
+ * @throws {InvalidRequestError}
+ */
+function resolvePrompt(prompt) {
+  if (typeof prompt === 'string') {
+    return prompt;
+  }
+  if (Array.isArray(prompt)) {
+    if (prompt.length === 1 && typeof prompt[0] === 'string') {
+      return prompt[0];
+    }
+    if (prompt.every(item => typeof item === 'string')) {
+      throw new InvalidRequestError('Batched prompts are not supported. Send one prompt per request.', 'prompt', 'unsupported_value');
+    }
+    throw new InvalidRequestError('Token array prompts are not supported. Send the prompt as a string.', 'prompt', 'unsupported_value');
+  }
+  throw new InvalidRequestError(
+    prompt === undefined ? "Missing required parameter: 'prompt'." : "Invalid type for 'prompt': expected a string.",
+    'prompt',
+    prompt === undefined ? 'missing_required_parameter' : 'invalid_type'
+  );
+}
+
+/**
+ * 将prompt和suffix转换为规范化的消息列表，供generateCursorBody使用
+ * @param {string} prompt - 需要续写的文本
+ * @param {string} [suffix] - 插入位置之后的文本，提供时按填空方式补全
+ * @returns {Array} 与normalizeMessages输出格式相同的消息列表
+ */
+function buildCompletionMessages(prompt, suffix) {
+  if (suffix !== undefined && suffix !== null && typeof suffix !== 'string') {
+    throw new InvalidRequestError("Invalid type for 'suffix': expected a string.", 'suffix', 'invalid_type');
+  }
+
+  const content = suffix
+    ? `<prefix>${prompt}</prefix>\n<suffix>${suffix}</suffix>`
+    : prompt;
+  return [
+    { role: 'system', content: suffix ? INSERT_INSTRUCTION : CONTINUE_INSTRUCTION, images: [] },
+    { role: 'user', content, images: [] },
+  ];
+}
+
+module.exports = {
+  resolvePrompt,
+  buildCompletionMessages
+};
@@ -0,0 +1,165 @@
+const { getEncoding } = require('js-tiktoken');
+const { MODEL_TOKENIZERS, DEFAULT_TOKENIZER } = require('../config/tokenizers');
+const { buildToolInstruction, formatToolMessages } = require('./toolCalls');
+const logger = require('./logger');
+
+// 已加载的编码器缓存，编码表较大，按需加载
+const encoders = new Map();
+
+// 每条消息的固定开销和回复前缀的token数，参考OpenAI的计算方式
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+
+// 获取模型对应的分词器名称
+function getEncodingNameForModel(model) {
+  const rule = MODEL_TOKENIZERS.find(item => item.pattern.test(model || ''));
+  return rule ? rule.encoding : DEFAULT_TOKENIZER;
+}
+
+// 获取（并缓存）编码器
+function getEncoder(encodingName) {
+  if (!encoders.has(encodingName)) {
+    try {
+      encoders.set(encodingName, getEncoding(encodingName));
+    } catch (err) {
+      logger.error(`加载分词器 ${encodingName} 失败，使用默认分词器:`, err.message);
+      encoders.set(encodingName, encodingName === DEFAULT_TOKENIZER ? null : getEncoder(DEFAULT_TOKENIZER));
+    }
+  }
+  return encoders.get(encodingName);
+}
+
+/**
+ * 计算文本的token数
+ * @param {string} text - 文本
+ * @param {string} model - 模型名，用于选择分词器
+ * @returns {number}
+ */
+function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+  const encoder = getEncoder(getEncodingNameForModel(model));
+  if (!encoder) {
+    // 编码器不可用时按每4个字符1个token粗略估算
+    return Math.ceil(text.length / 4);
+  }
+  return encoder.encode(text, 'all').length;
+}
+
+/**
+ * 将文本截断到不超过maxTokens个token
+ * @param {string} text - 文本
+ * @param {number} maxTokens - token上限
+ * @param {string} model - 模型名，用于选择分词器
+ * @returns {string} 截断后的文本，未超出上限时原样返回
+ */
+function truncateToTokens(text, maxTokens, model) {
+  if (!text || countTokens(text, model) <= maxTokens) {
+    return text;
+  }
+  const encoder = getEncoder(getEncodingNameForModel(model));
+  if (!encoder) {
+    return text.slice(0, maxTokens * 4);
+  }
+  // 截断位置可能落在多字节字符中间，去掉解码出的替换字符
+  return encoder.decode(encoder.encode(text, 'all').slice(0, maxTokens)).replace(/\uFFFD+$/, '');
+}
+
+// 估算图片的token数，参考OpenAI高精度模式的计算方式
+function countImageTokens(image) {
+  let width = (image.metadata && image.metadata.width) || 512;
+  let height = (image.metadata && image.metadata.height) || 512;
+
+  // 先缩放到2048x2048以内，再将短边缩放到768
+  const fitScale = Math.min(1, 2048 / Math.max(width, height));
+  width *= fitScale;
+  height *= fitScale;
+  const shortScale = Math.min(1, 768 / Math.min(width, height));
+  width *= shortScale;
+  height *= shortScale;
+
+  const tiles = Math.ceil(width / 512) * Math.ceil(height / 512);
+  return 85 + 170 * tiles;
+}
+
+/**
+ * 估算提示词的token数
+ * 按实际发送给上游的文本计算，包含工具定义指令
+ * @param {Array} messages - 规范化后的消息列表
+ * @param {string} model - 模型名
+ * @param {Object} options - { tools, toolChoice }
+ * @returns {number}
+ */
+function estimatePromptTokens(messages, model, options = {}) {
+  let total = REPLY_PRIMING_TOKENS;
+
+  for (const msg of formatToolMessages(messages)) {
+    total += TOKENS_PER_MESSAGE;
+    total += countTokens(msg.role, model);
+    total += countTokens(msg.content, model);
+    if (msg.name) {
+      total += TOKENS_PER_NAME + countTokens(msg.name, model);
+    }
+    for (const image of msg.images || []) {
+      total += countImageTokens(image);
+    }
+  }
+
+  const toolInstruction = buildToolInstruction(options.tools, options.toolChoice);
+  if (toolInstruction) {
+    total += countTokens(toolInstruction, model);
+  }
+
+  return total;
+}
+
+/**
+ * 生成OpenAI格式的usage对象
+ * @param {Object} params
+ * @param {number} params.promptTokens - 提示词token数
+ * @param {string} params.content - 输出的正文（含工具调用）
+ * @param {string} params.reasoning - 输出的思考内容
+ * @param {string} params.model - 模型名
+ * @returns {Object}
+ */
+function buildUsage({ promptTokens = 0, content = '', reasoning = '', model }) {
+  const reasoningTokens = countTokens(reasoning, model);
+  const completionTokens = countTokens(content, model) + reasoningTokens;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    completion_tokens_details: {
+      reasoning_tokens: reasoningTokens
+    }
+  };
+}
+
+/**
+ * 合并n>1时各choice的usage：提示词只计算一次，输出token累加
+ * @param {Object[]} usages - buildUsage生成的usage对象
+ * @returns {Object}
+ */
+function mergeUsage(usages) {
+  const promptTokens = usages.length > 0 ? usages[0].prompt_tokens : 0;
+  const completionTokens = usages.reduce((sum, usage) => sum + usage.completion_tokens, 0);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    completion_tokens_details: {
+      reasoning_tokens: usages.reduce((sum, usage) => sum + usage.completion_tokens_details.reasoning_tokens, 0)
+    }
+  };
+}
+
+module.exports = {
+  getEncodingNameForModel,
+  countTokens,
+  truncateToTokens,
+  estimatePromptTokens,
+  buildUsage,
+  mergeUsage
+};
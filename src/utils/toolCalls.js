@@ -0,0 +1,309 @@
+const { v4: uuidv4 } = require('uuid');
+
+// 模型输出工具调用时使用的标签
+const TOOL_CALL_OPEN = '<tool_call>';
+const TOOL_CALL_CLOSE = '</tool_call>';
+
+/**
+ * 判断本次请求是否需要启用工具调用
+ * @param {Array} tools - OpenAI格式的tools
+ * @param {string|Object} toolChoice - OpenAI格式的tool_choice
+ * @returns {boolean}
+ */
+function isToolCallingEnabled(tools, toolChoice) {
+  return Array.isArray(tools) && tools.length > 0 && toolChoice !== 'none';
+}
+
+/**
+ * 将tools定义转换为上游可理解的指令文本
+ * Cursor上游没有原生的工具定义字段，因此通过instruction描述调用协议
+ * @param {Array} tools - OpenAI格式的tools
+ * @param {string|Object} toolChoice - OpenAI格式的tool_choice
+ * @returns {string} 指令文本，不需要工具时返回空字符串
+ */
+function buildToolInstruction(tools, toolChoice = 'auto') {
+  if (!isToolCallingEnabled(tools, toolChoice)) {
+    return '';
+  }
+
+  const functions = tools
+    .filter(tool => tool && tool.type === 'function' && tool.function && tool.function.name)
+    .map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description || '',
+      parameters: tool.function.parameters || { type: 'object', properties: {} }
+    }));
+
+  if (functions.length === 0) {
+    return '';
+  }
+
+  const lines = [
+    '# Tools',
+    '',
+    'You may call one or more of the following functions to help answer the user.',
+    '',
+    '<tools>',
+    JSON.stringify(functions, null, 2),
+    '</tools>',
+    '',
+    'To call a function, output a block in exactly this format:',
+    TOOL_CALL_OPEN,
+    '{"name": "<function name>", "arguments": {<arguments as a JSON object>}}',
+    TOOL_CALL_CLOSE,
+    '',
+    'Rules:',
+    `- Put exactly one JSON object inside each ${TOOL_CALL_OPEN} block and nothing else.`,
+    `- To call several functions in parallel, output several ${TOOL_CALL_OPEN} blocks one after another.`,
+    '- After the tool calls, stop and wait. The results will be sent back inside <tool_result> blocks.',
+    '- Only call the functions listed above, and only with arguments matching their JSON schema.'
+  ];
+
+  if (toolChoice === 'required') {
+    lines.push('- You MUST call at least one function in this reply.');
+  } else if (toolChoice && typeof toolChoice === 'object' && toolChoice.function && toolChoice.function.name) {
+    lines.push(`- You MUST call the function "${toolChoice.function.name}" in this reply.`);
+  } else {
+    lines.push('- If no function is needed, answer the user directly without any tool_call block.');
+  }
+
+  return lines.join('\n');
+}
+
+// 将消息content统一为纯文本
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return content == null ? '' : String(content);
+}
+
+// 将arguments统一解析为对象，解析失败时保留原字符串
+function parseArguments(args) {
+  if (typeof args !== 'string') {
+    return args ?? {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    return args;
+  }
+}
+
+// 将assistant历史消息中的tool_calls还原为模型输出时的文本格式
+function formatToolCallsAsText(toolCalls) {
+  return toolCalls
+    .filter(call => call && call.function)
+    .map(call => `${TOOL_CALL_OPEN}\n${JSON.stringify({
+      name: call.function.name,
+      arguments: parseArguments(call.function.arguments)
+    })}\n${TOOL_CALL_CLOSE}`)
+    .join('\n');
+}
+
+/**
+ * 将包含tool_calls的assistant消息和tool角色消息转换为上游可理解的普通消息
+ * 连续的tool结果会合并为一条user消息
+ * @param {Array} messages - OpenAI格式的消息列表
+ * @returns {Array} 转换后的消息列表
+ */
+function formatToolMessages(messages) {
+  // 记录tool_call_id对应的函数名，供tool结果引用
+  const toolNames = new Map();
+  const result = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      for (const call of msg.tool_calls) {
+        if (call && call.id && call.function) {
+          toolNames.set(call.id, call.function.name);
+        }
+      }
+      const text = contentToText(msg.content);
+      const callsText = formatToolCallsAsText(msg.tool_calls);
+      const { tool_calls, ...rest } = msg;
+      result.push({
+        ...rest,
+        content: text ? `${text}\n${callsText}` : callsText
+      });
+    } else if (msg.role === 'tool') {
+      const name = msg.name || toolNames.get(msg.tool_call_id) || '';
+      const block = `<tool_result tool_call_id="${msg.tool_call_id || ''}" name="${name}">\n${contentToText(msg.content)}\n</tool_result>`;
+      const last = result[result.length - 1];
+      if (last && last.isToolResult) {
+        last.content += `\n${block}`;
+      } else {
+        result.push({ role: 'user', content: block, isToolResult: true });
+      }
+    } else {
+      result.push(msg);
+    }
+  }
+
+  return result.map(msg => {
+    if (msg.isToolResult) {
+      const { isToolResult, ...rest } = msg;
+      return rest;
+    }
+    return msg;
+  });
+}
+
+// 生成OpenAI风格的tool_call id
+function generateToolCallId() {
+  return `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`;
+}
+
+// 解析单个tool_call标签内的JSON
+function parseToolCallBody(raw) {
+  const text = raw.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  try {
+    const parsed = JSON.parse(text);
+    const name = parsed.name || (parsed.function && parsed.function.name);
+    if (!name || typeof name !== 'string') {
+      return null;
+    }
+    let args = parsed.arguments ?? parsed.parameters ?? (parsed.function && parsed.function.arguments) ?? {};
+    if (typeof args !== 'string') {
+      args = JSON.stringify(args);
+    }
+    return {
+      id: generateToolCallId(),
+      type: 'function',
+      function: {
+        name,
+        arguments: args
+      }
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// 计算text末尾与tag开头重叠的长度，用于保留可能被拆分的开始标签
+function partialTagLength(text, tag) {
+  const max = Math.min(text.length, tag.length - 1);
+  for (let len = max; len > 0; len--) {
+    if (tag.startsWith(text.slice(text.length - len))) {
+      return len;
+    }
+  }
+  return 0;
+}
+
+/**
+ * 流式工具调用解析器
+ * 逐段输入模型输出，分离出普通文本和完整的tool_call
+ */
+class ToolCallParser {
+  constructor() {
+    this.buffer = '';
+    this.insideCall = false;
+    this.toolCalls = [];
+  }
+
+  // 输入一段文本，返回解析出的事件列表
+  feed(text) {
+    this.buffer += text;
+    const events = [];
+
+    while (this.buffer.length > 0) {
+      if (!this.insideCall) {
+        const start = this.buffer.indexOf(TOOL_CALL_OPEN);
+        if (start === -1) {
+          const keep = partialTagLength(this.buffer, TOOL_CALL_OPEN);
+          this.pushContent(events, this.buffer.slice(0, this.buffer.length - keep));
+          this.buffer = this.buffer.slice(this.buffer.length - keep);
+          break;
+        }
+        this.pushContent(events, this.buffer.slice(0, start));
+        this.buffer = this.buffer.slice(start + TOOL_CALL_OPEN.length);
+        this.insideCall = true;
+      } else {
+        const end = this.buffer.indexOf(TOOL_CALL_CLOSE);
+        if (end === -1) {
+          break;
+        }
+        const raw = this.buffer.slice(0, end);
+        this.buffer = this.buffer.slice(end + TOOL_CALL_CLOSE.length);
+        this.insideCall = false;
+        this.pushToolCall(events, raw);
+      }
+    }
+
+    return events;
+  }
+
+  // 输出结束时调用，处理缓冲区中剩余的内容
+  flush() {
+    const events = [];
+    if (this.insideCall) {
+      // 模型可能省略了结束标签，尝试按完整调用解析
+      this.insideCall = false;
+      this.pushToolCall(events, this.buffer);
+    } else {
+      this.pushContent(events, this.buffer);
+    }
+    this.buffer = '';
+    return events;
+  }
+
+  pushContent(events, text) {
+    if (!text) {
+      return;
+    }
+    // 工具调用之间的空白不作为正文输出
+    if (this.toolCalls.length > 0 && text.trim() === '') {
+      return;
+    }
+    events.push({ type: 'content', text });
+  }
+
+  pushToolCall(events, raw) {
+    const toolCall = parseToolCallBody(raw);
+    if (!toolCall) {
+      // 无法解析时按原文输出，避免内容丢失
+      this.pushContent(events, `${TOOL_CALL_OPEN}${raw}${TOOL_CALL_CLOSE}`);
+      return;
+    }
+    events.push({ type: 'tool_call', index: this.toolCalls.length, toolCall });
+    this.toolCalls.push(toolCall);
+  }
+}
+
+/**
+ * 从完整的模型输出中解析工具调用（非流式）
+ * @param {string} text - 模型输出
+ * @returns {{content: string, toolCalls: Array}}
+ */
+function parseToolCalls(text) {
+  const parser = new ToolCallParser();
+  const events = [...parser.feed(text), ...parser.flush()];
+  const content = events
+    .filter(event => event.type === 'content')
+    .map(event => event.text)
+    .join('')
+    .trim();
+  return {
+    content,
+    toolCalls: parser.toolCalls
+  };
+}
+
+module.exports = {
+  isToolCallingEnabled,
+  buildToolInstruction,
+  formatToolMessages,
+  ToolCallParser,
+  parseToolCalls,
+  partialTagLength,
+  generateToolCallId
+};
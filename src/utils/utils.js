@@ -3,23 +3,43 @@ const zlib = require('zlib');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const $root = require('../proto/message.js');
+const { buildToolInstruction, formatToolMessages } = require('./toolCalls');
+const { CHAT_MODES } = require('./chatMode');
 
-function generateCursorBody(messages, modelName) {
+// messages需先经过messageNormalizer.normalizeMessages规范化
+function generateCursorBody(messages, modelName, options = {}) {
+  const { tools, toolChoice, largeContext = false, webSearch = false, docs = [], chatMode = 'ask' } = options;
+  const mode = CHAT_MODES[chatMode];
 
+  // 将tool_calls和tool角色消息转换为普通文本消息
+  messages = formatToolMessages(messages);
+
+  const toolInstruction = buildToolInstruction(tools, toolChoice);
   const instruction = messages
     .filter(msg => msg.role === 'system')
     .map(msg => msg.content)
+    .concat(toolInstruction ? [toolInstruction] : [])
     .join('\n')
 
   const formattedMessages = messages
     .filter(msg => msg.role !== 'system')
-    .map(msg => ({
-      content: msg.content,
-      role: msg.role === 'user' ? 1 : 2,
-      messageId: uuidv4(),
-      ...(msg.role === 'user' ? { chatModeEnum: 1 } : {})
-      //...(msg.role !== 'user' ? { summaryId: uuidv4() } : {})
-    }));
+    .flatMap(msg => {
+      const images = msg.images || [];
+      const formatted = {
+        content: msg.content,
+        role: msg.role === 'user' ? 1 : 2,
+        messageId: uuidv4(),
+        ...(msg.role === 'user' ? { chatModeEnum: mode.chatModeEnum } : {})
+        //...(msg.role !== 'user' ? { summaryId: uuidv4() } : {})
+      };
+      if (images.length === 0) {
+        return [formatted];
+      }
+      // 每条消息只能携带一张图片，多余的图片拆分为单独的消息
+      return images.map((image, index) => index === 0
+        ? { ...formatted, image }
+        : { ...formatted, content: '', messageId: uuidv4(), image });
+    });
 
   const messageIds = formattedMessages.map(msg => {
     const { role, messageId, summaryId } = msg;
@@ -38,7 +58,8 @@ function generateCursorBody(messages, modelName) {
         name: modelName,
         empty: '',
       },
-      webTool: "",
+      webTool: webSearch ? "full search" : "",
+      wikiTool: docs,
       unknown13: 1,
       cursorSetting: {
         name: "cursor\\aisettings",
@@ -63,15 +84,15 @@ function generateCursorBody(messages, modelName) {
       unknown27: 0,
       //unknown29: "",
       messageIds: messageIds,
-      largeContext: 0,
+      largeContext: largeContext ? 1 : 0,
       unknown38: 0,
-      chatModeEnum: 1,
+      chatModeEnum: mode.chatModeEnum,
       unknown47: "",
       unknown48: 0,
       unknown49: 0,
       unknown51: 0,
       unknown53: 1,
-      chatMode: "Ask"
+      chatMode: mode.chatMode
     }
   };
 
@@ -94,78 +115,6 @@ function generateCursorBody(messages, modelName) {
   return finalBody
 }
 
-function chunkToUtf8String(chunk) {
-  const results = []
-  const thinkingResults = []
-  const contentResults = []
-  const errorResults = { hasError: false, errorMessage: '' }
-  let isThinking = false;
-  const buffer = Buffer.from(chunk, 'hex');
-  //console.log("Chunk buffer:", buffer.toString('hex'))
-
-  try {
-    for(let i = 0; i < buffer.length; i++){
-      const magicNumber = parseInt(buffer.subarray(i, i + 1).toString('hex'), 16)
-      const dataLength = parseInt(buffer.subarray(i + 1, i + 5).toString('hex'), 16)
-      const data = buffer.subarray(i + 5, i + 5 + dataLength)
-      //console.log("Parsed buffer:", magicNumber, dataLength, data.toString('hex'))
-
-      if (magicNumber == 0 || magicNumber == 1) {
-        const gunzipData = magicNumber == 0 ? data : zlib.gunzipSync(data)
-        const response = $root.StreamUnifiedChatWithToolsResponse.decode(gunzipData);
-        const thinking = response?.message?.thinking?.content
-        if (thinking !== undefined && thinking.length > 0){
-            thinkingResults.push(thinking);
-            // console.log('[DEBUG] 收到 thinking:', thinking);
-            isThinking = true;
-        }
-        const content = response?.message?.content
-        if (content !== undefined && content.length > 0){
-          contentResults.push(content)
-          // console.log('[DEBUG] 收到 content:', content);
-        }
-      }
-      else if (magicNumber == 2 || magicNumber == 3) { 
-        // Json message
-        const gunzipData = magicNumber == 2 ? data : zlib.gunzipSync(data)
-        const utf8 = gunzipData.toString('utf-8')
-        const message = JSON.parse(utf8)
-
-        if (message != null && (typeof message !== 'object' || 
-          (Array.isArray(message) ? message.length > 0 : Object.keys(message).length > 0))){
-            //results.push(utf8)
-            console.error(utf8)
-            
-            // 检查是否为错误消息
-            if (message && message.error) {
-              errorResults.hasError = true;
-              errorResults.errorMessage = utf8;
-            }
-        }
-      }
-      else {
-        //console.log('Unknown magic number when parsing chunk response: ' + magicNumber)
-      }
-
-      i += 5 + dataLength - 1
-    }
-  } catch (err) {
-    console.log('Error parsing chunk response:', err)
-  }
-
-  // 如果存在错误，返回错误对象
-  if (errorResults.hasError) {
-    return { error: errorResults.errorMessage };
-  }
-
-  // 分别返回thinking和content内容
-  return {
-    isThink: isThinking, 
-    thinkingContent: thinkingResults.join(''),
-    content: contentResults.join('')
-  };
-}
-
 function generateHashed64Hex(input, salt = '') {
   const hash = crypto.createHash('sha256');
   hash.update(input + salt);
@@ -203,7 +152,6 @@ function generateCursorChecksum(token) {
 
 module.exports = {
   generateCursorBody,
-  chunkToUtf8String,
   generateHashed64Hex,
   generateCursorChecksum
 };
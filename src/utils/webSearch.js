@@ -0,0 +1,90 @@
+const { InvalidRequestError } = require('./errors');
+
+// 模型名后缀，带此后缀时开启联网搜索，如 claude-3.5-sonnet:online
+const ONLINE_SUFFIX = ':online';
+
+/**
+ * 解析请求是否开启联网搜索
+ * 以下任一方式均可开启: 模型名带:online后缀、web_search为true、传入OpenAI的web_search_options
+ * @param {string} model - 请求的模型名
+ * @param {Object} body - 请求体
+ * @returns {{model: string, enabled: boolean}} model为去掉:online后缀后的模型名
+ */
+function resolveWebSearch(model, body) {
+  let enabled = false;
+  if (typeof model === 'string' && model.endsWith(ONLINE_SUFFIX)) {
+    model = model.slice(0, -ONLINE_SUFFIX.length);
+    enabled = true;
+  }
+
+  if (body.web_search != null) {
+    if (typeof body.web_search !== 'boolean') {
+      throw new InvalidRequestError("Invalid type for 'web_search': expected a boolean.", 'web_search', 'invalid_type');
+    }
+    enabled = enabled || body.web_search;
+  }
+  if (body.web_search_options != null) {
+    if (typeof body.web_search_options !== 'object' || Array.isArray(body.web_search_options)) {
+      throw new InvalidRequestError("Invalid type for 'web_search_options': expected an object.", 'web_search_options', 'invalid_type');
+    }
+    enabled = true;
+  }
+  return { model, enabled };
+}
+
+/**
+ * 收集上游联网搜索返回的网页，按url去重并保持首次出现的顺序
+ */
+class CitationCollector {
+  constructor() {
+    this.pages = new Map();
+  }
+
+  // 加入一批网页(decodeCursorStream产出的webPages)
+  add(webPages) {
+    for (const page of webPages || []) {
+      if (page.url && !this.pages.has(page.url)) {
+        this.pages.set(page.url, { url: page.url, title: page.title || page.url });
+      }
+    }
+  }
+
+  get size() {
+    return this.pages.size;
+  }
+
+  /**
+   * 转为OpenAI格式的url_citation注释
+   * 上游不返回引用在正文中的位置，因此每条引用都覆盖整段回复
+   * @param {number} contentLength - 回复正文长度
+   */
+  toAnnotations(contentLength) {
+    return [...this.pages.values()].map(page => ({
+      type: 'url_citation',
+      url_citation: {
+        url: page.url,
+        title: page.title,
+        start_index: 0,
+        end_index: contentLength
+      }
+    }));
+  }
+
+  /**
+   * 转为追加在正文末尾的来源列表，用于没有引用字段的接口
+   * @returns {string} 没有网页时返回空字符串
+   */
+  toText() {
+    if (this.pages.size === 0) {
+      return '';
+    }
+    const lines = [...this.pages.values()].map((page, index) =>
+      `${index + 1}. [${page.title.replace(/[[\]]/g, '\\$&')}](${page.url})`);
+    return `\n\n参考来源：\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = {
+  resolveWebSearch,
+  CitationCollector
+};